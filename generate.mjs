@@ -2,238 +2,3746 @@
 /**
  * Claude Usage Report Generator
  * Reads ~/.claude/stats-cache.json + session data → generates HTML dashboard + prompts dump
- * Usage: node generate.mjs [--push]
+ * Usage: node generate.mjs [report|prompts|json|push] [--out <dir>] [--since YYYY-MM-DD] [--until YYYY-MM-DD]
+ *                          [--period week|month] [--pricing <file>] [--plan <plan>] [--billing-start YYYY-MM-DD]
+ *                          [--history <dir> | --no-history] [--budget <file>] [--check]
+ *                          [--format csv,md,prom] [--public] [--offline] [--alias <name>] [--time-zone <zone>]
+ *                          [--stats <file>] [--claude-dir <dir>] [--config <file>]
+ *        node generate.mjs push [--branch gh-pages] [--remote origin] [--dry-run] [report options]
+ *        node generate.mjs merge <dir-of-data.json>   → team/index.html
+ *        node generate.mjs serve [--port 8080] [report options]   → live dashboard
+ *        node generate.mjs --help
+ * Options can also be set in usage-report.config.json (camelCase keys, e.g. "billingStart").
+ * Importable too: loadStats(), computeMetrics(), renderDashboard(), renderPrompts() (see Library API).
  */
 
-import { readFileSync, writeFileSync, readdirSync, existsSync } from 'fs';
-import { join, basename } from 'path';
-import { homedir } from 'os';
-import { execSync } from 'child_process';
+import { readFileSync, writeFileSync, readdirSync, existsSync, createReadStream, mkdirSync, mkdtempSync, cpSync, appendFileSync, watch, statSync, rmSync, renameSync, realpathSync } from 'fs';
+import { join, basename, dirname, extname, relative, resolve, sep } from 'path';
+import { homedir, tmpdir } from 'os';
+import { execFileSync, spawn } from 'child_process';
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { createInterface } from 'readline';
+import { fileURLToPath, pathToFileURL } from 'url';
 
-const CLAUDE_DIR = join(homedir(), '.claude');
-const STATS_FILE = join(CLAUDE_DIR, 'stats-cache.json');
-const PROJECTS_DIR = join(CLAUDE_DIR, 'projects');
-const OUT_DIR = process.cwd();
+// ── CLI Options ────────────────────────────────────────────────────────────────
 
-// ── Load Data ──────────────────────────────────────────────────────────────────
+// Subscription plans (USD per month)
+const PLANS = {
+  pro:    { label: 'Pro',     monthly: 20 },
+  max5x:  { label: 'Max 5x',  monthly: 100 },
+  max20x: { label: 'Max 20x', monthly: 200 },
+  api:    { label: 'API',     monthly: 0 },
+};
 
-console.log('📊 Loading stats-cache.json...');
-const stats = JSON.parse(readFileSync(STATS_FILE, 'utf-8'));
+// Secret detectors, applied to prompts and summaries before they are written
+// and to every file before --push. "redact.patterns" in the config adds more.
+const SECRET_PATTERNS = [
+  { kind: 'private key', re: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g },
+  { kind: 'Anthropic key', re: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { kind: 'OpenAI key', re: /\bsk-(?!ant-)(?:proj-)?[A-Za-z0-9_-]{32,}/g },
+  { kind: 'GitHub token', re: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})/g },
+  { kind: 'AWS key', re: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { kind: 'Google key', re: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { kind: 'Slack token', re: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { kind: 'JWT', re: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  { kind: 'bearer token', re: /\bBearer\s+[A-Za-z0-9._~+/-]{20,}=*/g },
+  { kind: 'credential', re: /\b(?:api[_-]?key|secret|token|passw(?:or)?d)\s*[:=]\s*["']?[^\s"'<>]{8,}/gi },
+  { kind: 'email', re: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g },
+];
 
-console.log('📂 Loading session indexes...');
-const sessions = loadAllSessions();
+// Known stats-cache.json variants. Version 2 is what current Claude Code writes.
+// Older and hand-assembled files differ in ways each adapter recognises by
+// shape, so a file is fixed whatever (or whether) its version says:
+// - snake-case: daily_activity, model_usage, input_tokens, message_count, ...
+// - keyed-days: dailyActivity / dailyModelTokens as { "YYYY-MM-DD": row }
+// - hour-array: hourCounts as a 24-slot array instead of { "0": n, ... }
+const STATS_ADAPTERS = [
+  {
+    name: 'snake-case',
+    test: raw => Object.keys(raw).some(k => k.includes('_')),
+    apply: raw => camelKeys(raw, 3),
+  },
+  {
+    name: 'keyed-days',
+    test: raw => ['dailyActivity', 'dailyModelTokens'].some(k => isPlainObject(raw[k])),
+    apply: raw => {
+      const rows = v => isPlainObject(v) ? Object.entries(v).map(([date, row]) => ({ date, ...row })) : v;
+      return { ...raw, dailyActivity: rows(raw.dailyActivity), dailyModelTokens: rows(raw.dailyModelTokens) };
+    },
+  },
+  {
+    name: 'hour-array',
+    test: raw => Array.isArray(raw.hourCounts),
+    apply: raw => ({ ...raw, hourCounts: Object.fromEntries(raw.hourCounts.map((n, h) => [String(h), n]).filter(([, n]) => n)) }),
+  },
+];
 
-console.log(`   Found ${sessions.length} sessions across ${stats.totalSessions} total`);
+// System font stacks used in place of Google Fonts by --offline
+const SANS_STACK = "system-ui, -apple-system, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+const MONO_STACK = "ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, 'Liberation Mono', monospace";
 
-// ── Compute Metrics ────────────────────────────────────────────────────────────
+const COMMANDS = ['report', 'prompts', 'json', 'push', 'merge', 'serve'];
+// Flags that take a value; the others are on/off switches
+const VALUE_FLAGS = ['out', 'config', 'claude-dir', 'stats', 'since', 'until', 'period', 'pricing', 'plan', 'billing-start',
+  'history', 'budget', 'format', 'alias', 'time-zone', 'port', 'branch', 'remote'];
+const SWITCHES = ['help', 'no-history', 'check', 'public', 'offline', 'push', 'dry-run'];
 
-const models = Object.entries(stats.modelUsage).map(([id, u]) => {
-  const total = (u.inputTokens || 0) + (u.outputTokens || 0) +
-    (u.cacheReadInputTokens || 0) + (u.cacheCreationInputTokens || 0);
-  return { id, ...u, total };
-}).sort((a, b) => b.total - a.total);
-
-const totalTokens = models.reduce((s, m) => s + m.total, 0);
-const totalInput = models.reduce((s, m) => s + (m.inputTokens || 0), 0);
-const totalOutput = models.reduce((s, m) => s + (m.outputTokens || 0), 0);
-const totalCacheRead = models.reduce((s, m) => s + (m.cacheReadInputTokens || 0), 0);
-const totalCacheCreate = models.reduce((s, m) => s + (m.cacheCreationInputTokens || 0), 0);
-
-// Per-model pricing (Feb 2026, https://docs.anthropic.com/en/docs/about-claude/pricing)
-const PRICING = {
-  opus:   { input: 5,    output: 25,   cacheRead: 0.50, cacheWrite: 6.25 },
-  sonnet: { input: 3,    output: 15,   cacheRead: 0.30, cacheWrite: 3.75 },
-  haiku:  { input: 1,    output: 5,    cacheRead: 0.10, cacheWrite: 1.25 },
-  other:  { input: 3,    output: 15,   cacheRead: 0.30, cacheWrite: 3.75 }, // default to Sonnet-tier
-};
+const USAGE = `Usage: node generate.mjs [command] [options]
+
+Commands:
+  report               index.html, data.json, prompts.html/json and --period reports (default)
+  prompts              prompts.html and prompts.json only
+  json                 data.json (and --format exports) only
+  push                 build the report and commit it to a publishing branch
+  merge <dir>          team dashboard from members' data.json files → team/
+  serve [--port 8080]  live dashboard that regenerates when Claude Code writes
+
+Options:
+  --out <dir>                  where to write (default: the working directory)
+  --claude-dir <dir>           Claude Code data directory (default: ~/.claude)
+  --stats <file>               stats-cache.json to read (default: <claude-dir>/stats-cache.json)
+  --since / --until YYYY-MM-DD narrow the report to a date window
+  --period week|month          also write one report per period under reports/
+  --pricing <file>             per-model rates (default: pricing.json next to this script)
+  --plan <plan>                pro | max5x | max20x | api | custom:<usd> (default: max20x)
+  --billing-start YYYY-MM-DD   day the billing month renews
+  --history <dir>              history store (default: <out>/history); --no-history to skip it
+  --budget <file>              budgets to track; --check prints them and exits 3 on pace
+                               to exceed, 4 over budget (1 is an error)
+  --format csv,md,prom         extra exports next to data.json
+  --alias <name>               name on a shared export (see merge)
+  --time-zone <zone>           IANA zone for the weekday × hour matrix (default: the system's)
+  --public                     leave prompts out
+  --offline                    self-contained pages without CDN or web fonts
+  --branch <name>              push: branch to publish to (default: gh-pages)
+  --remote <name|url>          push: remote to publish to (default: origin)
+  --dry-run                    push: show what would be committed, push nothing
+  --config <file>              options file (default: ./usage-report.config.json)
+  --help                       show this help`;
+
+// ── Settings ───────────────────────────────────────────────────────────────────
+
+// configure() turns a flat options object (the config file's camelCase keys,
+// overridden by CLI flags, or whatever a library caller passes in) into a
+// settings object: paths, plan, budgets, formats, privacy rules and the run's
+// `now`. Nothing is kept at module level; every function gets the settings, or
+// a report context (see reportContext()), it works from.
+
+// Bad options or input (see fail()). The CLI prints the message and exits 1;
+// library callers get the exception.
+class ReportError extends Error {}
+
+// ── Library API ────────────────────────────────────────────────────────────────
+//
+//   import { loadStats, computeMetrics, renderDashboard, renderPrompts } from './generate.mjs';
+//   const data = await loadStats({ claudeDir: '/home/me/.claude' });
+//   const metrics = computeMetrics(data, { since: '2026-09-01', plan: 'pro' });
+//   const html = renderDashboard(metrics);
+//
+// Options are the config file's keys. Nothing is written to disk unless a
+// `history` directory is given. Invalid options throw. Every call carries its
+// own settings, so loadStats() calls with different options may overlap.
+
+// Stats cache, session indexes and transcripts, with projects resolved, privacy
+// rules applied and transcript usage priced. `log` receives progress lines.
+export async function loadStats(options = {}) {
+  const settings = configure(options);
+  const log = options.log || (() => {});
+  const found = [];
+  const pricing = loadPricing(options.pricing || fileURLToPath(new URL('./pricing.json', import.meta.url)));
+
+  log('📊 Loading stats-cache.json...');
+  const stats = readStatsFile(settings.statsFile, Boolean(options.stats), log, found);
+
+  // A missing cache would look like a reset to the history, so leave it alone
+  if (settings.historyDir && existsSync(settings.statsFile)) {
+    log(`🗄  Merging with history in ${settings.historyDir}...`);
+    const h = mergeHistory(stats, settings.historyDir, settings.generated);
+    log(`   ${h.days} days on record (${h.added} new or updated, ${h.restored} restored from history)` +
+      (h.epochs > 1 ? `, ${h.epochs} cache generations` : ''));
+  }
+
+  log('📂 Loading session indexes...');
+  const sessions = loadAllSessions(settings.projectsDir, found);
+  log(`   Found ${sessions.length} sessions across ${stats.totalSessions} total`);
+
+  log('🧾 Parsing session transcripts...');
+  const transcripts = await loadTranscriptUsage(settings.projectsDir, found);
+  log(`   Parsed ${transcripts.files} transcripts, ${transcripts.bySession.size} sessions with usage, ${transcripts.toolCalls.size} tool calls` +
+    (transcripts.skipped ? ` (${transcripts.skipped} malformed lines skipped)` : ''));
+
+  const projectInfo = resolveProjects(settings, sessions, transcripts);
+  for (const s of [...sessions, ...transcripts.bySession.values(), ...transcripts.toolCalls.values()]) Object.assign(s, projectInfo.get(s.projectDir));
+  applyPrivacy(settings, sessions);
+
+  // Exact per-session / per-day usage from transcripts
+  const unpriced = new Set();
+  for (const map of [transcripts.bySession, transcripts.byDay]) {
+    for (const bucket of map.values()) priceBucket({ pricing, unpriced }, bucket, bucket.date || localDate(bucket.start));
+  }
+  for (const s of sessions) s.usage = transcripts.bySession.get(s.sessionId) || null;
+
+  return { stats, sessions, transcripts, pricing, redaction: settings.redaction, diagnostics: found, unpriced, options };
+}
+
+// Every dashboard metric for `data` from loadStats(). Options override the ones
+// given to loadStats(); since/until narrow the window.
+export function computeMetrics(data, options = {}) {
+  // Projects were masked while loading, so the load's redaction rules stand
+  const settings = { ...configure({ ...data.options, ...options }), redaction: data.redaction };
+  const ctx = reportContext(settings, data);
+  const metrics = reportMetrics(ctx, { since: settings.since, until: settings.until });
+  // Budgets always track the current day/week/month, whatever the report window
+  metrics.budgets = evaluateBudgets(ctx, estimateDailyModels(ctx, ctx.stats.dailyModelTokens || []));
+  return metrics;
+}
+
+export function renderDashboard(metrics, { offline = metrics.context.settings.offline } = {}) {
+  const html = generateHTML(metrics);
+  return offline ? inlineStyles(html) : html;
+}
+
+export function renderPrompts(metrics, { offline = metrics.context.settings.offline } = {}) {
+  const html = generatePromptsHTML(metrics);
+  return offline ? inlineStyles(html) : html;
+}
+
+// What data.json holds
+export { reportJSON };
+
+// What the metric, pricing and report helpers read: one computeMetrics() call's
+// settings and dataset. Metrics keep theirs as `context`, so renderers and
+// exports draw them the same way whatever was loaded or computed since.
+function reportContext(settings, data) {
+  // Each model's lifetime output, to spread modelUsage over days (see dailyModelCost)
+  const outputTotals = {};
+  for (const d of data.stats.dailyModelTokens || []) {
+    for (const [id, n] of Object.entries(d.tokensByModel || {})) outputTotals[id] = (outputTotals[id] || 0) + n;
+  }
+  return {
+    settings,
+    stats: data.stats, sessions: data.sessions, transcripts: data.transcripts,
+    pricing: data.pricing, unpriced: data.unpriced || new Set(), outputTotals,
+  };
+}
+
+// Settings from an options object; see the Settings section
+function configure(options) {
+  const claudeDir = resolve(options.claudeDir || join(homedir(), '.claude'));
+  const plan = parsePlan(options.plan || 'max20x', options.billingStart);
+  const formats = [].concat(options.format || []).flatMap(f => String(f).split(',')).map(f => f.trim()).filter(Boolean);
+  const timeZone = options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const { since, until, period } = options;
+
+  for (const [flag, value] of [['--since', since], ['--until', until], ['--billing-start', plan.start]]) {
+    if (value !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(value)) fail(`${flag} expects YYYY-MM-DD, got "${value}"`);
+  }
+  if (since && until && since > until) fail(`--since ${since} is after --until ${until}`);
+  if (period !== undefined && !['week', 'month'].includes(period)) fail(`--period expects week or month, got "${period}"`);
+  for (const f of formats) if (!['csv', 'md', 'prom'].includes(f)) fail(`--format expects a list of csv, md, prom, got "${f}"`);
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    fail(`--time-zone expects an IANA time zone such as Europe/Berlin, got "${timeZone}"`);
+  }
+
+  const now = new Date();
+  return {
+    options,
+    outDir: resolve(options.out || '.'),
+    claudeDir,
+    statsFile: resolve(options.stats || join(claudeDir, 'stats-cache.json')),
+    projectsDir: join(claudeDir, 'projects'),
+    historyDir: typeof options.history === 'string' ? resolve(options.history) : null,
+    alias: options.alias,
+    plan,
+    budgets: loadBudgets(options.budget, options.budgets),
+    formats,
+    timeZone,
+    offline: options.offline === true,
+    publicMode: options.public === true,
+    redaction: loadRedaction(options.redact || {}),
+    projectAliases: Object.entries(options.projectAliases || {}).map(([pattern, name]) => ({ re: globRegExp(pattern), name })),
+    since, until, period,
+    now,
+    generated: now.toISOString(),
+    generatedDisplay: displayTime(now),
+  };
+}
+
+function displayTime(date) {
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric', month: 'long', day: 'numeric',
+    hour: '2-digit', minute: '2-digit'
+  });
+}
+
+// ── CLI ────────────────────────────────────────────────────────────────────────
+
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  try {
+    await main(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof ReportError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function main(argv) {
+  const { command, args, flags } = parseArgs(argv);
+  if (flags.help) {
+    console.log(USAGE);
+    return;
+  }
+  const options = { ...loadConfig(flags.config), ...flags };
+  const settings = configure(options);
+
+  if (command === 'merge') {
+    if (!args[0]) fail('Usage: node generate.mjs merge <dir-of-data.json>');
+    mergeTeam(settings, args[0], join(settings.outDir, 'team'));
+    return;
+  }
+  if (command === 'serve') {
+    const port = Number(options.port || 8080);
+    if (!Number.isInteger(port) || port <= 0 || port > 65535) fail(`--port expects a port number, got "${options.port}"`);
+    await serveDashboard(settings, port);
+    return;
+  }
+  if (command === 'prompts' && settings.publicMode) fail('--public leaves prompts out; there is nothing for "prompts" to write');
+
+  const data = await loadStats({
+    ...options,
+    // --check has no side effects unless a history store is named
+    history: options.history ?? (options.check ? false : join(settings.outDir, 'history')),
+    log: message => console.log(message),
+  });
+  printDiagnostics(data.diagnostics, settings.claudeDir);
+
+  const metrics = computeMetrics(data);
+  console.log(`💬 Extracted ${metrics.prompts.length} prompts`);
+  if (data.unpriced.size) {
+    console.warn(`⚠️  Unpriced models (excluded from cost): ${[...data.unpriced].join(', ')}`);
+  }
+  if ((settings.since || settings.until) && !data.transcripts.byDay.size) {
+    console.warn('⚠️  No session transcripts found — token and cost totals for the range are unavailable');
+  }
+
+  if (options.check) {
+    const worst = printBudgetCheck(metrics.budgets);
+    // Clear of 1, which every error exits with, so CI can tell the two apart
+    process.exit(worst === 'breach' ? 4 : worst === 'warn' ? 3 : 0);
+  }
+
+  if (command === 'push') {
+    // Build into a scratch directory so only this run's files get published.
+    // The history store goes along as the off-machine copy of it.
+    const site = mkdtempSync(join(tmpdir(), 'usage-report-site-'));
+    try {
+      writeSite(site, command, metrics);
+      const { historyDir } = metrics.context.settings;
+      if (historyDir && existsSync(historyDir)) cpSync(historyDir, join(site, 'history'), { recursive: true });
+      console.log('🔍 Scanning files to publish...');
+      const leaks = scanForLeaks(data.redaction, listFiles(site));
+      if (leaks.length) {
+        for (const l of leaks) console.error(`   ${relative(site, l.file)}: ${l.kind} "${l.match}"`);
+        fail(`Refusing to push: ${leaks.length} sensitive value(s) found. Redact them (see "redact" in the config) or use --public.`);
+      }
+      publishSite(metrics.context.settings, site, `update: ${data.stats.lastComputedDate || metrics.lastDate}`);
+    } finally {
+      rmSync(site, { recursive: true, force: true });
+    }
+    return;
+  }
+
+  mkdirSync(settings.outDir, { recursive: true });
+  if (command === 'json') {
+    writeFileSync(join(settings.outDir, 'data.json'), JSON.stringify(reportJSON(metrics), null, 2));
+    console.log('✅ data.json generated');
+    writeExports(settings.outDir, metrics);
+    return;
+  }
+  writeSite(settings.outDir, command, metrics);
+}
+
+// index.html, data.json, prompts and --period reports: what report and push
+// write, or just the prompts pages for the prompts command
+function writeSite(dir, command, metrics) {
+  const { since, until, period, publicMode, offline, generatedDisplay } = metrics.context.settings;
+  mkdirSync(dir, { recursive: true });
+  if (command !== 'prompts') writeReport(dir, metrics);
+
+  if (publicMode) {
+    // Never leave a prompts dump from an earlier private run next to a public report
+    for (const file of ['prompts.html', 'prompts.json']) rmSync(join(dir, file), { force: true });
+    console.log('🔒 Public mode: prompts.html / prompts.json not written');
+  } else {
+    writeHTML(join(dir, 'prompts.html'), generatePromptsHTML(metrics), offline);
+    console.log('✅ prompts.html generated');
+
+    // Write prompts as JSON
+    writeFileSync(join(dir, 'prompts.json'), JSON.stringify(metrics.prompts, null, 2));
+    console.log('✅ prompts.json generated');
+  }
+  if (command === 'prompts') return;
+
+  if (period) {
+    console.log(`🗓  Writing ${period}ly reports...`);
+    const periods = listPeriods(period, metrics.daily.map(d => d.date)).map(p => ({
+      ...p,
+      metrics: reportMetrics(metrics.context, { since: maxDate(p.since, since), until: minDate(p.until, until), period: p.key }),
+    }));
+    for (const p of periods) writeReport(join(dir, 'reports', p.key), p.metrics, { quiet: true });
+    writeHTML(join(dir, 'reports', 'index.html'), generatePeriodIndexHTML(period, periods, generatedDisplay), offline);
+    console.log(`✅ reports/index.html generated (${periods.length} reports)`);
+  }
+}
+
+// Subcommand, its positional arguments and the flags as camelCase options.
+// The old --push switch still works and means the push command.
+function parseArgs(argv) {
+  let command = 'report';
+  const args = [], flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i] === '-h' ? '--help' : argv[i];
+    if (!arg.startsWith('--')) {
+      if (i === 0 && COMMANDS.includes(arg)) command = arg;
+      else args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    const key = name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (name === 'no-history') flags.history = false;
+    else if (SWITCHES.includes(name)) flags[key] = true;
+    else if (VALUE_FLAGS.includes(name)) {
+      const value = argv[++i];
+      if (value === undefined || value.startsWith('--')) fail(`--${name} needs a value`);
+      flags[key] = value;
+    } else fail(`Unknown option ${arg} (see --help)`);
+  }
+  if (flags.push && command === 'report') command = 'push';
+  if (args.length > (command === 'merge' ? 1 : 0)) fail(`Unexpected argument "${args[args.length - 1]}" (see --help)`);
+  return { command, args, flags };
+}
+
+// ── Pricing ────────────────────────────────────────────────────────────────────
+
+// The rate in effect on `date` for an exact model ID, or the ID without its
+// -YYYYMMDD snapshot suffix. Unknown models are unpriced (null), never guessed.
+// `ctx` is a report context, or anything with its `pricing` and `unpriced`.
+function modelPricing(ctx, id, date) {
+  const rates = ctx.pricing[id] || ctx.pricing[id.replace(/-\d{8}$/, '')];
+  if (!rates) return null;
+  return rates.findLast(r => !date || r.from <= date) || rates[0];
+}
 
-function modelPricing(id) {
-  if (id.includes('opus')) return PRICING.opus;
-  if (id.includes('sonnet')) return PRICING.sonnet;
-  if (id.includes('haiku')) return PRICING.haiku;
-  return PRICING.other;
-}
-
-// Calculate cost per-model, then sum
-const costEstimate = models.reduce((sum, m) => {
-  const p = modelPricing(m.id);
-  return sum + (
-    (m.inputTokens || 0) * p.input +
-    (m.outputTokens || 0) * p.output +
-    (m.cacheReadInputTokens || 0) * p.cacheRead +
-    (m.cacheCreationInputTokens || 0) * p.cacheWrite
+function modelCost(ctx, id, u, date) {
+  const p = modelPricing(ctx, id, date);
+  if (!p) {
+    ctx.unpriced.add(id);
+    return 0;
+  }
+  const cacheWrite1h = u.cacheCreation1hInputTokens || 0;
+  return (
+    (u.inputTokens || 0) * p.input +
+    (u.outputTokens || 0) * p.output +
+    (u.cacheReadInputTokens || 0) * p.cacheRead +
+    ((u.cacheCreationInputTokens || 0) - cacheWrite1h) * p.cacheWrite5m +
+    cacheWrite1h * p.cacheWrite1h
   ) / 1_000_000;
-}, 0);
-
-const daily = stats.dailyActivity || [];
-const totalMessages = stats.totalMessages || daily.reduce((s, d) => s + d.messageCount, 0);
-const totalSessions = stats.totalSessions || daily.reduce((s, d) => s + d.sessionCount, 0);
-const totalToolCalls = daily.reduce((s, d) => s + (d.toolCallCount || 0), 0);
-const dayCount = daily.length;
-const avgMessagesPerDay = dayCount ? Math.round(totalMessages / dayCount) : 0;
-
-// Peak day
-const peakDay = daily.reduce((max, d) => d.messageCount > max.messageCount ? d : max, daily[0] || { date: 'N/A', messageCount: 0 });
-
-// Top 5 days by messages
-const topDays = [...daily].sort((a, b) => b.messageCount - a.messageCount).slice(0, 5);
-
-// Hour distribution
-const hourCounts = stats.hourCounts || {};
-const maxHourCount = Math.max(...Object.values(hourCounts), 1);
-
-// Daily model tokens for chart
-const dailyModelTokens = stats.dailyModelTokens || [];
-
-// ── Generate Prompts Dump ──────────────────────────────────────────────────────
-
-console.log('💬 Extracting prompts...');
-const prompts = extractPrompts(sessions);
-console.log(`   Extracted ${prompts.length} prompts`);
-
-// ── Generate HTML ──────────────────────────────────────────────────────────────
-
-const now = new Date();
-const generated = now.toISOString();
-const generatedDisplay = now.toLocaleDateString('en-US', {
-  year: 'numeric', month: 'long', day: 'numeric',
-  hour: '2-digit', minute: '2-digit'
-});
-
-const html = generateHTML();
-writeFileSync(join(OUT_DIR, 'index.html'), html);
-console.log('✅ index.html generated');
-
-const promptsHtml = generatePromptsHTML();
-writeFileSync(join(OUT_DIR, 'prompts.html'), promptsHtml);
-console.log('✅ prompts.html generated');
-
-// Write raw data as JSON for programmatic access
-writeFileSync(join(OUT_DIR, 'data.json'), JSON.stringify({
-  generated,
-  totalTokens, totalInput, totalOutput, totalCacheRead, totalCacheCreate,
-  costEstimate,
-  totalMessages, totalSessions, totalToolCalls,
-  dayCount, avgMessagesPerDay,
-  models: models.map(m => ({ id: m.id, total: m.total, input: m.inputTokens, output: m.outputTokens, cacheRead: m.cacheReadInputTokens, cacheCreate: m.cacheCreationInputTokens })),
-  daily,
-  hourCounts,
-  peakDay,
-  topDays,
-}, null, 2));
-console.log('✅ data.json generated');
-
-// Write prompts as JSON
-writeFileSync(join(OUT_DIR, 'prompts.json'), JSON.stringify(prompts, null, 2));
-console.log('✅ prompts.json generated');
-
-// ── Push if requested ──────────────────────────────────────────────────────────
-
-if (process.argv.includes('--push')) {
-  console.log('🚀 Pushing to GitHub...');
-  execSync('git add -A && git commit -m "update: ' + stats.lastComputedDate + '" && git push', { stdio: 'inherit' });
-  console.log('✅ Pushed!');
+}
+
+// modelUsage has no dates, so each day gets the share of a model's lifetime
+// usage that matches its share of the model's dailyModelTokens output (which
+// keeps the model's input/cache mix), priced at that day's rate. Summed over
+// all days this is the model's lifetime cost. Models missing from modelUsage
+// fall back to the plain output rate.
+function dailyModelCost(ctx, id, outputTokens, date, u = ctx.stats.modelUsage[id]) {
+  const total = ctx.outputTotals[id];
+  if (u && total) return modelCost(ctx, id, u, date) * outputTokens / total;
+  return modelCost(ctx, id, { outputTokens }, date);
+}
+
+function lifetimeModelCost(ctx, id, u) {
+  const days = (ctx.stats.dailyModelTokens || []).filter(d => d.tokensByModel?.[id]);
+  if (!days.length) return modelCost(ctx, id, u, ctx.stats.lastComputedDate);
+  return days.reduce((s, d) => s + dailyModelCost(ctx, id, d.tokensByModel[id], d.date, u), 0);
 }
 
 // ── Helper Functions ───────────────────────────────────────────────────────────
 
-function loadAllSessions() {
-  const all = [];
-  if (!existsSync(PROJECTS_DIR)) return all;
-  for (const dir of readdirSync(PROJECTS_DIR)) {
-    const indexFile = join(PROJECTS_DIR, dir, 'sessions-index.json');
-    if (!existsSync(indexFile)) continue;
+// pricing.json: { models: { "<model-id>": [{ from, input, output, cacheRead, cacheWrite5m, cacheWrite1h }] } }
+// Missing cache rates follow Anthropic's multipliers of the input rate.
+function loadPricing(file) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    fail(`Cannot read pricing file ${file}: ${err.message}`);
+  }
+  const table = {};
+  for (const [id, entries] of Object.entries(config.models || {})) {
+    table[id] = (Array.isArray(entries) ? entries : [entries]).map(r => {
+      if (typeof r.input !== 'number' || typeof r.output !== 'number') fail(`Pricing for ${id} needs numeric input and output rates`);
+      if (r.from !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(r.from)) fail(`Pricing for ${id} has a bad "from" date: ${r.from}`);
+      return {
+        from: r.from || '0000-00-00',
+        input: r.input,
+        output: r.output,
+        cacheRead: r.cacheRead ?? r.input * 0.1,
+        cacheWrite5m: r.cacheWrite5m ?? r.cacheWrite ?? r.input * 1.25,
+        cacheWrite1h: r.cacheWrite1h ?? r.input * 2,
+      };
+    }).sort((a, b) => a.from.localeCompare(b.from));
+  }
+  return table;
+}
+
+// redact: { patterns: ["ACME-\\d+"], projects: { allow: ["*/oss/*"], deny: ["*acme*"], hash: true } }
+// Project globs match the decoded project path; "*" matches anything.
+function loadRedaction({ patterns = [], projects = {} }) {
+  let extra;
+  try {
+    extra = patterns.map(p => ({ kind: 'custom pattern', re: new RegExp(p, 'g') }));
+  } catch (err) {
+    fail(`Bad redact pattern: ${err.message}`);
+  }
+  return {
+    detectors: [...SECRET_PATTERNS, ...extra],
+    allow: (projects.allow || []).map(globRegExp),
+    deny: (projects.deny || []).map(globRegExp),
+    hash: Boolean(projects.hash),
+    masked: new Map(),
+  };
+}
+
+function redactText(redaction, text) {
+  if (!text) return text;
+  return redaction.detectors.reduce((t, d) => t.replace(d.re, `[REDACTED ${d.kind}]`), text);
+}
+
+// "*" matches anything; case-insensitive
+function globRegExp(glob) {
+  return new RegExp('^' + glob.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$', 'i');
+}
+
+// Denied projects, projects outside a non-empty allowlist, and (with hash: true)
+// every project not explicitly allowed are replaced by a stable hash. `names`
+// are the project's name plus the paths and directories of all its clones.
+function maskProject(redaction, key, names) {
+  const { allow, deny, hash } = redaction;
+  const matches = list => list.some(re => names.some(n => re.test(n) || re.test('/' + n)));
+  const allowed = !matches(deny) && (allow.length ? matches(allow) : !hash);
+  if (allowed) return null;
+  const label = 'project-' + createHash('sha256').update(key).digest('hex').slice(0, 8);
+  redaction.masked.set(label, names);
+  return label;
+}
+
+function applyPrivacy({ publicMode, redaction }, sessions) {
+  for (const s of sessions) {
+    const hidden = redaction.masked.has(s.projectName);
+    // Free text and paths of a hidden project would give its name away
+    if (publicMode || hidden) {
+      s.firstPrompt = s.summary = '';
+      if (hidden) s.gitBranch = '';
+    } else {
+      s.firstPrompt = redactText(redaction, s.firstPrompt);
+      s.summary = redactText(redaction, s.summary);
+    }
+    delete s.fullPath;
+    delete s.projectPath;
+  }
+}
+
+function listFiles(dir) {
+  return readdirSync(dir, { recursive: true, withFileTypes: true })
+    .filter(e => e.isFile())
+    .map(e => join(e.parentPath, e.name));
+}
+
+// Secrets plus the real names of masked projects
+function scanForLeaks(redaction, files) {
+  const leaks = [];
+  const hiddenNames = [...redaction.masked.values()].flat().filter(n => n && n.length > 3);
+  for (const file of files) {
+    if (!existsSync(file) || statSync(file).size > 50 * 1024 * 1024) continue;
+    const text = readFileSync(file, 'utf-8');
+    if (text.includes('\0')) continue;
+    for (const d of redaction.detectors) {
+      for (const match of text.match(d.re) || []) leaks.push({ file, kind: d.kind, match: match.slice(0, 12) + '…' });
+    }
+    for (const name of hiddenNames) {
+      if (text.includes(name)) leaks.push({ file, kind: 'hidden project', match: name });
+    }
+  }
+  return leaks;
+}
+
+// Commits a built site to --branch (default gh-pages) on --remote (default
+// origin) of the repository OUT_DIR is in. The commit is staged from the site
+// directory through a temporary index, so the checked-out branch and any work
+// in progress are never touched, and a repository without commits works too.
+// The branch holds exactly the last build; one that differs from it only in
+// its "generated" stamps is not committed.
+function publishSite({ options, outDir, generated }, site, message) {
+  const remote = options.remote || 'origin', branch = options.branch || 'gh-pages';
+  mkdirSync(outDir, { recursive: true });
+  const repo = git(outDir, 'rev-parse', '--show-toplevel');
+  const gitDir = git(repo, 'rev-parse', '--absolute-git-dir');
+  const parent = git(repo, 'ls-remote', '--heads', remote, `refs/heads/${branch}`).split('\t')[0] || null;
+  if (parent) git(repo, 'fetch', '--quiet', remote, `refs/heads/${branch}`);
+
+  const scratch = mkdtempSync(join(tmpdir(), 'usage-report-publish-'));
+  const staged = (...args) => git({ cwd: site, env: { ...process.env, GIT_INDEX_FILE: join(scratch, 'index') } },
+    `--git-dir=${gitDir}`, `--work-tree=${site}`, ...args);
+  try {
+    staged('add', '--all', '--force', '.');
+    if (parent && !siteChanged(site, parent, staged, generated)) {
+      console.log(`✅ Nothing changed since the last publish to ${branch} on ${remote}`);
+      return;
+    }
+    if (options.dryRun) {
+      console.log(`🔎 Dry run: would commit to ${branch} on ${remote}:`);
+      const changes = parent ? staged('diff', '--cached', '--stat', parent) : staged('ls-files');
+      console.log(changes.replace(/^/gm, '   '));
+      return;
+    }
+    const tree = staged('write-tree');
+    const commit = git(repo, 'commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message);
+    console.log(`🚀 Pushing to ${branch} on ${remote}...`);
+    git(repo, 'push', '--quiet', remote, `${commit}:refs/heads/${branch}`);
+    console.log(`✅ Published ${commit.slice(0, 7)}`);
+  } finally {
+    rmSync(scratch, { recursive: true, force: true });
+  }
+}
+
+// Whether the staged build differs from the published one in more than the
+// generated timestamp, which every run changes
+function siteChanged(site, parent, staged, generated) {
+  const changes = staged('diff', '--cached', '--name-status', '--no-renames', parent)
+    .split('\n').filter(Boolean).map(line => line.split('\t'));
+  if (changes.some(([status]) => status !== 'M')) return true;
+  let before;
+  try {
+    before = JSON.parse(staged('show', `${parent}:data.json`)).generated;
+  } catch {
+    return true;
+  }
+  const unstamped = (text, iso) => {
+    const at = new Date(iso);
+    const stamps = [iso, displayTime(at), `generated ${iso.slice(0, 10)}`, String(Math.floor(at.getTime() / 1000))];
+    return stamps.reduce((t, stamp) => t.split(stamp).join('<generated>'), text);
+  };
+  return changes.some(([, file]) =>
+    unstamped(staged('show', `${parent}:${file}`), before) !== unstamped(readFileSync(join(site, file), 'utf-8').trim(), generated));
+}
+
+// `where` is the working directory, or execFileSync options
+function git(where, ...args) {
+  try {
+    const options = typeof where === 'string' ? { cwd: where } : where;
+    return execFileSync('git', args, { ...options, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 256 * 1024 * 1024 }).trim();
+  } catch (err) {
+    fail(`git ${args.find(a => !a.startsWith('-'))} failed: ${String(err.stderr || err.message).trim()}`);
+  }
+}
+
+// Budgets come from --budget <file> ({ "budgets": [...] } or a bare array) or
+// the config's "budgets". Each caps "cost" (USD) or "tokens" per "period"
+// (day | week | month), for all models or one "model" (ID or ID prefix).
+function loadBudgets(file, list = []) {
+  if (file) {
     try {
-      const idx = JSON.parse(readFileSync(indexFile, 'utf-8'));
-      const projectName = dir.replace(/-/g, '/').replace(/^\//, '');
-      for (const entry of (idx.entries || [])) {
-        all.push({ ...entry, projectDir: dir, projectName });
-      }
-    } catch {}
+      const parsed = JSON.parse(readFileSync(file, 'utf-8'));
+      list = Array.isArray(parsed) ? parsed : parsed.budgets || [];
+    } catch (err) {
+      fail(`Cannot read budget file ${file}: ${err.message}`);
+    }
   }
-  return all.sort((a, b) => new Date(b.created) - new Date(a.created));
+  return list.map((b, i) => {
+    if (!['day', 'week', 'month'].includes(b.period)) fail(`Budget #${i + 1} needs a period of day, week or month`);
+    const kinds = ['cost', 'tokens'].filter(k => b[k] !== undefined);
+    if (kinds.length !== 1 || !(b[kinds[0]] > 0)) fail(`Budget #${i + 1} needs exactly one positive "cost" or "tokens" cap`);
+    return { period: b.period, kind: kinds[0], limit: b[kinds[0]], model: b.model || null };
+  });
 }
 
-function extractPrompts(sessions) {
-  return sessions
-    .filter(s => s.firstPrompt)
-    .map(s => ({
-      date: s.created,
-      prompt: s.firstPrompt.slice(0, 500),
-      summary: s.summary || '',
-      project: s.projectName || '',
-      messages: s.messageCount || 0,
+// usage-report.config.json in the working directory is optional; --config must exist
+function loadConfig(file) {
+  const path = file || join(process.cwd(), 'usage-report.config.json');
+  if (!file && !existsSync(path)) return {};
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    fail(`Cannot read config file ${path}: ${err.message}`);
+  }
+}
+
+// "pro" | "max5x" | "max20x" | "api" | "custom:<usd>"
+function parsePlan(spec, start) {
+  const custom = /^custom:(\d+(?:\.\d+)?)$/.exec(spec);
+  if (custom) return { id: 'custom', label: 'Custom', monthly: Number(custom[1]), start };
+  if (!PLANS[spec]) fail(`--plan expects pro, max5x, max20x, api or custom:<usd>, got "${spec}"`);
+  return { id: spec, ...PLANS[spec], start };
+}
+
+function fail(message) {
+  throw new ReportError(message);
+}
+
+// Every metric on the dashboard, narrowed to [since, until] (inclusive dates).
+// Without a range the lifetime modelUsage totals are used; with one, token and
+// cost figures come from the per-day transcript usage inside the window.
+function reportMetrics(ctx, { since, until, period } = {}) {
+  const { stats, transcripts, settings } = ctx;
+  const ranged = Boolean(since || until);
+  const inRange = date => Boolean(date) && (!since || date >= since) && (!until || date <= until);
+
+  const daily = (stats.dailyActivity || []).filter(d => inRange(d.date));
+  const dailyModelTokens = (stats.dailyModelTokens || []).filter(d => inRange(d.date));
+  const sessions = ranged ? ctx.sessions.filter(s => inRange(localDate(s.created))) : ctx.sessions;
+  const dailyUsage = [...transcripts.byDay.values()].filter(d => inRange(d.date)).sort((a, b) => a.date.localeCompare(b.date));
+  const sessionUsage = [...transcripts.bySession.values()].filter(s => !ranged || inRange(localDate(s.start))).sort((a, b) => b.cost - a.cost);
+  const toolCalls = [...transcripts.toolCalls.values()].filter(c => !ranged || inRange(c.date));
+
+  const modelUsage = ranged ? mergeModels(dailyUsage) : stats.modelUsage;
+  const models = Object.entries(modelUsage).map(([id, u]) => {
+    const total = usageTotal(u);
+    const cost = ranged
+      ? dailyUsage.reduce((s, d) => s + (d.models[id] ? modelCost(ctx, id, d.models[id], d.date) : 0), 0)
+      : lifetimeModelCost(ctx, id, u);
+    return { id, ...u, total, cost: modelPricing(ctx, id) ? cost : null };
+  }).sort((a, b) => b.total - a.total);
+
+  const totalTokens = models.reduce((s, m) => s + m.total, 0);
+  const totalInput = models.reduce((s, m) => s + (m.inputTokens || 0), 0);
+  const totalOutput = models.reduce((s, m) => s + (m.outputTokens || 0), 0);
+  const totalCacheRead = models.reduce((s, m) => s + (m.cacheReadInputTokens || 0), 0);
+  const totalCacheCreate = models.reduce((s, m) => s + (m.cacheCreationInputTokens || 0), 0);
+
+  // Calculate cost per-model (at each day's rate), then sum
+  const costEstimate = models.reduce((sum, m) => sum + (m.cost || 0), 0);
+  const unpriced = models.filter(m => m.cost === null).map(m => m.id);
+
+  // Lifetime counters in stats-cache.json only apply to the unfiltered report
+  const totalMessages = (!ranged && stats.totalMessages) || daily.reduce((s, d) => s + d.messageCount, 0);
+  const totalSessions = (!ranged && stats.totalSessions) || daily.reduce((s, d) => s + d.sessionCount, 0);
+  const totalToolCalls = daily.reduce((s, d) => s + (d.toolCallCount || 0), 0);
+  const dayCount = daily.length;
+  const avgMessagesPerDay = dayCount ? Math.round(totalMessages / dayCount) : 0;
+
+  // Peak day
+  const peakDay = daily.reduce((max, d) => d.messageCount > max.messageCount ? d : max, daily[0] || { date: 'N/A', messageCount: 0 });
+
+  // 7-day rolling average of messages over calendar days (missing days count
+  // as 0). It reads the unfiltered days so a window's first bars see the week
+  // before it.
+  const messagesOn = new Map((stats.dailyActivity || []).map(d => [d.date, d.messageCount]));
+  const rollingAverage = Object.fromEntries(daily.map(d => {
+    let sum = 0;
+    for (let i = 0; i < 7; i++) sum += messagesOn.get(addDays(d.date, -i)) || 0;
+    return [d.date, sum / 7];
+  }));
+
+  // Top 5 days by messages
+  const topDays = [...daily].sort((a, b) => b.messageCount - a.messageCount).slice(0, 5);
+
+  // Daily output tokens + estimated spend per model
+  const dailyModels = estimateDailyModels(ctx, dailyModelTokens);
+
+  // Subscription value per billing month
+  const planValue = computePlanValue(ctx, dailyModels);
+
+  // Cache hit ratio, reuse and savings
+  const cache = computeCache(ctx, { models, ranged, dailyUsage, sessionUsage });
+
+  // Period-over-period deltas, ending on the last day of the report
+  const lastDate = ranged ? daily[daily.length - 1]?.date : stats.lastComputedDate;
+  const trends = computeTrends(ctx, lastDate);
+
+  // Tool calls by tool, MCP server, project and day
+  const tools = computeTools(toolCalls, lastDate);
+
+  // Calendar heatmap, streaks, weekday × hour matrix, longest session
+  const rhythm = computeRhythm(ctx, { daily, sessions, streakEnd: minDate(localDate(settings.now), until), inRange });
+
+  // Hour distribution: session starts per local hour. The lifetime counts in
+  // stats-cache.json can't be narrowed, so a window counts its own sessions.
+  const hourCounts = ranged ? sessionHours(sessions, settings.timeZone) : stats.hourCounts || {};
+  const maxHourCount = Math.max(...Object.values(hourCounts), 1);
+
+  // Per-project breakdown
+  const projects = buildProjects(sessions, sessionUsage);
+
+  const prompts = extractPrompts(sessions);
+
+  return {
+    since, until, period,
+    firstDate: ranged ? daily[0]?.date : stats.firstSessionDate,
+    lastDate,
+    models, totalTokens, totalInput, totalOutput, totalCacheRead, totalCacheCreate,
+    costEstimate, unpriced,
+    totalMessages, totalSessions, totalToolCalls,
+    dayCount, avgMessagesPerDay,
+    daily, rollingAverage, dailyModelTokens, dailyModels, planValue, trends, cache, tools, rhythm, peakDay, topDays,
+    hourCounts, maxHourCount,
+    sessions, projects, prompts,
+    sessionUsage, dailyUsage,
+    context: ctx,
+  };
+}
+
+// Session starts per hour of day in the configured time zone, like the rhythm
+// heatmap, so the two charts agree
+function sessionHours(sessions, timeZone) {
+  const clock = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' });
+  const hours = {};
+  for (const s of sessions) {
+    const created = new Date(s.created);
+    if (isNaN(created)) continue;
+    const hour = Number(clock.formatToParts(created).find(p => p.type === 'hour').value) % 24;
+    hours[hour] = (hours[hour] || 0) + 1;
+  }
+  return hours;
+}
+
+function writeReport(dir, m, { quiet = false } = {}) {
+  mkdirSync(dir, { recursive: true });
+  writeHTML(join(dir, 'index.html'), generateHTML(m), m.context.settings.offline);
+  // Write raw data as JSON for programmatic access
+  writeFileSync(join(dir, 'data.json'), JSON.stringify(reportJSON(m), null, 2));
+  if (!quiet) console.log('✅ index.html generated\n✅ data.json generated');
+  writeExports(dir, m, { quiet });
+}
+
+function reportJSON(m) {
+  const { settings: { generated, alias }, transcripts } = m.context;
+  return {
+    generated,
+    ...(alias ? { alias } : {}),
+    ...(m.since || m.until ? { range: { since: m.since || null, until: m.until || null } } : {}),
+    totalTokens: m.totalTokens, totalInput: m.totalInput, totalOutput: m.totalOutput,
+    totalCacheRead: m.totalCacheRead, totalCacheCreate: m.totalCacheCreate,
+    costEstimate: m.costEstimate,
+    unpricedModels: m.unpriced,
+    totalMessages: m.totalMessages, totalSessions: m.totalSessions, totalToolCalls: m.totalToolCalls,
+    dayCount: m.dayCount, avgMessagesPerDay: m.avgMessagesPerDay,
+    models: m.models.map(m => ({ id: m.id, total: m.total, input: m.inputTokens, output: m.outputTokens, cacheRead: m.cacheReadInputTokens, cacheCreate: m.cacheCreationInputTokens, cost: m.cost })),
+    daily: m.daily,
+    dailyModels: m.dailyModels,
+    plan: m.planValue,
+    trends: m.trends,
+    cache: m.cache,
+    tools: m.tools,
+    rhythm: m.rhythm,
+    ...(m.budgets ? { budgets: m.budgets } : {}),
+    hourCounts: m.hourCounts,
+    peakDay: m.peakDay,
+    topDays: m.topDays,
+    projects: m.projects.map(({ sessionList, models, ...p }) => p),
+    transcripts: {
+      files: transcripts.files,
+      sessions: m.sessionUsage.map(usageJSON),
+      projects: m.projects.filter(p => p.tokens).map(p => usageJSON({ projectKey: p.key, projectName: p.name, tokens: p.tokens, cost: p.cost, models: p.models })),
+      daily: m.dailyUsage.map(usageJSON),
+    },
+  };
+}
+
+// Last 7 days vs the 7 before, and month-to-date vs the same days of the
+// previous month, both ending on `until`. Tokens, cost and cache hits come
+// from transcripts where a day has them, else from the dailyModelTokens
+// estimate (lifetime modelUsage spread by output share, as for daily cost).
+function computeTrends(ctx, until) {
+  if (!until) return null;
+  const activity = new Map((ctx.stats.dailyActivity || []).map(d => [d.date, d]));
+  const modelsOn = dayUsageLookup(ctx);
+  const summarize = ({ since, until }) => {
+    const w = { since, until, tokens: 0, messages: 0, sessions: 0, toolCalls: 0, cost: 0, cacheHitRatio: null };
+    let read = 0, uncached = 0;
+    for (let date = since; date <= until; date = addDays(date, 1)) {
+      const a = activity.get(date);
+      if (a) {
+        w.messages += a.messageCount || 0;
+        w.sessions += a.sessionCount || 0;
+        w.toolCalls += a.toolCallCount || 0;
+      }
+      for (const [id, u] of Object.entries(modelsOn(date))) {
+        w.tokens += usageTotal(u);
+        w.cost += modelCost(ctx, id, u, date);
+        read += u.cacheReadInputTokens || 0;
+        uncached += (u.inputTokens || 0) + (u.cacheCreationInputTokens || 0);
+      }
+    }
+    if (read + uncached) w.cacheHitRatio = read / (read + uncached);
+    w.tokens = Math.round(w.tokens);
+    return w;
+  };
+  const compare = (current, previous) => {
+    const c = summarize(current), p = summarize(previous);
+    const change = {};
+    for (const k of ['tokens', 'messages', 'sessions', 'toolCalls', 'cost']) change[k] = p[k] ? (c[k] - p[k]) / p[k] : null;
+    // Already a ratio, so the change is in percentage points
+    change.cacheHitRatio = c.cacheHitRatio !== null && p.cacheHitRatio !== null ? c.cacheHitRatio - p.cacheHitRatio : null;
+    return { current: c, previous: p, change };
+  };
+
+  const month = monthOf(until);
+  const prev = monthOf(addDays(month.since, -1));
+  return {
+    week: compare({ since: addDays(until, -6), until }, { since: addDays(until, -13), until: addDays(until, -7) }),
+    month: compare({ since: month.since, until }, { since: prev.since, until: minDate(prev.since.slice(0, 8) + until.slice(8), prev.until) }),
+  };
+}
+
+// date → usage by model on that day: exact from transcripts where the day has
+// them, else lifetime modelUsage spread by the day's share of output tokens
+function dayUsageLookup({ stats, transcripts, outputTotals }) {
+  const estimated = new Map((stats.dailyModelTokens || []).map(d => [d.date, d.tokensByModel || {}]));
+  return date => {
+    const exact = transcripts.byDay.get(date);
+    if (exact) return exact.models;
+    return Object.fromEntries(Object.entries(estimated.get(date) || {}).map(([id, n]) => {
+      const u = stats.modelUsage[id], total = outputTotals[id];
+      if (!u || !total) return [id, { ...emptyUsage(), outputTokens: n }];
+      return [id, Object.fromEntries(Object.keys(emptyUsage()).map(k => [k, (u[k] || 0) * n / total]))];
     }));
+  };
 }
 
-function fmt(n) {
-  if (n >= 1e9) return (n / 1e9).toFixed(2) + 'B';
-  if (n >= 1e6) return (n / 1e6).toFixed(2) + 'M';
-  if (n >= 1e3) return (n / 1e3).toFixed(1) + 'K';
-  return n.toString();
+// Calendar heatmap (messages and tokens per day), activity streaks, and
+// sessions by weekday × hour of their start in `timeZone`. Off-hours are
+// weekends and weekdays outside 09:00–18:00. The current streak runs up to
+// `streakEnd`: the end of the window, or today (a day still in progress
+// doesn't break it).
+function computeRhythm(ctx, { daily, sessions, streakEnd, inRange }) {
+  const { stats, settings: { now, timeZone } } = ctx;
+  const modelsOn = dayUsageLookup(ctx);
+  const days = daily.map(d => ({
+    date: d.date,
+    messages: d.messageCount,
+    tokens: Math.round(Object.values(modelsOn(d.date)).reduce((s, u) => s + usageTotal(u), 0)),
+  }));
+
+  const active = days.filter(d => d.messages > 0).map(d => d.date);
+  const longest = { days: 0, since: null, until: null };
+  let run = 0;
+  active.forEach((date, i) => {
+    run = i && addDays(active[i - 1], 1) === date ? run + 1 : 1;
+    if (run > longest.days) Object.assign(longest, { days: run, since: addDays(date, 1 - run), until: date });
+  });
+  const activeSet = new Set(active);
+  const today = localDate(now);
+  const currentUntil = streakEnd === today && !activeSet.has(today) ? addDays(today, -1) : streakEnd;
+  let current = 0;
+  for (let date = currentUntil; activeSet.has(date); date = addDays(date, -1)) current++;
+
+  const weekdays = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+  const grid = () => weekdays.map(() => Array(24).fill(0));
+  const matrix = { sessions: grid(), messages: grid() };
+  const clock = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: 'numeric', hourCycle: 'h23' });
+  let started = 0, offHours = 0;
+  for (const s of sessions) {
+    const at = new Date(s.created);
+    if (isNaN(at)) continue;
+    const parts = Object.fromEntries(clock.formatToParts(at).map(p => [p.type, p.value]));
+    const day = weekdays.indexOf(parts.weekday), hour = Number(parts.hour) % 24;
+    matrix.sessions[day][hour]++;
+    matrix.messages[day][hour] += s.messageCount || 0;
+    started++;
+    if (day >= 5 || hour < 9 || hour >= 18) offHours++;
+  }
+
+  // The record covers all time, so a window only shows it if it started inside
+  const record = stats.longestSession;
+  const recordDate = record && localDate(record.timestamp);
+  const longestSession = record && (!recordDate || inRange(recordDate) || !daily.length) ? {
+    ...record,
+    projectName: ctx.sessions.find(s => s.sessionId === record.sessionId)?.projectName || null,
+  } : null;
+
+  return {
+    timeZone,
+    days,
+    streaks: { current, currentUntil, longest: longest.days, longestSince: longest.since, longestUntil: longest.until, activeDays: active.length },
+    weekdays,
+    matrix,
+    offHoursShare: started ? offHours / started : null,
+    longestSession,
+  };
 }
 
-function fmtMoney(n) {
-  return '$' + Math.round(n).toLocaleString('en-US');
+// Cache efficiency by model, day and session. Model figures use the same
+// pricing path as their cost (lifetime spread or exact per-day usage); days
+// and sessions need transcripts.
+function computeCache(ctx, { models, ranged, dailyUsage, sessionUsage }) {
+  const onDay = d => (id, u) => modelCost(ctx, id, u, d.date);
+  const lifetime = (id, u) => lifetimeModelCost(ctx, id, u);
+  const byModel = models.map(m => ({
+    id: m.id,
+    ...(ranged
+      ? sumCache(dailyUsage.filter(d => d.models[m.id]).map(d => cacheStats(ctx, [[m.id, d.models[m.id]]], onDay(d))))
+      : cacheStats(ctx, [[m.id, m]], lifetime)),
+  }));
+  const sessions = sessionUsage.map(s => ({
+    sessionId: s.sessionId, projectName: s.projectName, start: s.start,
+    ...cacheStats(ctx, Object.entries(s.models), onDay({ date: localDate(s.start) })),
+  }));
+  return {
+    ...sumCache(byModel),
+    models: byModel,
+    daily: dailyUsage.map(d => ({ date: d.date, ...cacheStats(ctx, Object.entries(d.models), onDay(d)) })),
+    // Fewest tokens read back per token written; ties go to the bigger writer
+    worstSessions: sessions.filter(s => s.write > 0)
+      .sort((a, b) => a.reuse - b.reuse || b.write - a.write)
+      .slice(0, 10),
+  };
 }
 
-function pct(part, whole) {
-  return whole ? ((part / whole) * 100).toFixed(1) : '0';
+// For [model id, usage] pairs: hit ratio (reads / all input tokens), reuse
+// (tokens read per token written), what reads saved over the input rate and
+// the premium paid over the input rate to write the cache. `saved` is the
+// net against an uncached baseline; unpriced models add tokens but no dollars.
+function cacheStats(ctx, entries, price) {
+  const c = { input: 0, read: 0, write: 0, readSavings: 0, writePremium: 0 };
+  for (const [id, u] of entries) {
+    const read = u.cacheReadInputTokens || 0, write = u.cacheCreationInputTokens || 0;
+    c.input += u.inputTokens || 0;
+    c.read += read;
+    c.write += write;
+    if (!modelPricing(ctx, id)) continue;
+    c.readSavings += price(id, { inputTokens: read }) - price(id, { cacheReadInputTokens: read });
+    c.writePremium += price(id, { cacheCreationInputTokens: write, cacheCreation1hInputTokens: u.cacheCreation1hInputTokens || 0 }) - price(id, { inputTokens: write });
+  }
+  return withCacheRatios(c);
 }
 
-function modelColor(id) {
-  if (id.includes('opus-4-6')) return { bg: 'indigo', hex: '#6366f1' };
-  if (id.includes('opus')) return { bg: 'violet', hex: '#8b5cf6' };
-  if (id.includes('sonnet')) return { bg: 'emerald', hex: '#10b981' };
-  if (id.includes('haiku')) return { bg: 'amber', hex: '#f59e0b' };
-  if (id.includes('gemini')) return { bg: 'blue', hex: '#3b82f6' };
-  if (id.includes('glm')) return { bg: 'rose', hex: '#f43f5e' };
-  if (id.includes('gpt')) return { bg: 'teal', hex: '#14b8a6' };
-  if (id.includes('grok')) return { bg: 'orange', hex: '#f97316' };
-  return { bg: 'gray', hex: '#6b7280' };
+function sumCache(list) {
+  const c = { input: 0, read: 0, write: 0, readSavings: 0, writePremium: 0 };
+  for (const x of list) for (const k of Object.keys(c)) c[k] += x[k];
+  return withCacheRatios(c);
 }
 
-function modelShortName(id) {
-  return id
-    .replace('claude-', '')
-    .replace(/-202\d{5}$/, '')
-    .replace(/-\d{8}$/, '');
+function withCacheRatios(c) {
+  const all = c.input + c.read + c.write;
+  return {
+    ...c,
+    saved: c.readSavings - c.writePremium,
+    hitRatio: all ? c.read / all : null,
+    reuse: c.write ? c.read / c.write : null,
+  };
+}
+
+// Calls, errors and permission denials per tool (with its MCP server, if
+// any), per project and per day. `change` compares the 7 days ending on
+// `until` with the 7 before, as in the hero trends.
+function computeTools(calls, until) {
+  const tally = extra => ({ ...extra, calls: 0, errors: 0, denied: 0 });
+  const count = (t, c) => {
+    t.calls++;
+    if (c.status === 'error') t.errors++;
+    if (c.status === 'denied') t.denied++;
+    return t;
+  };
+  const bucket = (map, key, extra) => map.get(key) || map.set(key, tally(extra)).get(key);
+  const withRates = ({ week, prevWeek, ...t }) => ({
+    ...t,
+    errorRate: t.calls ? t.errors / t.calls : null,
+    deniedRate: t.calls ? t.denied / t.calls : null,
+    ...(week !== undefined ? { change: prevWeek ? (week - prevWeek) / prevWeek : null } : {}),
+  });
+
+  const total = tally();
+  const byTool = new Map(), byServer = new Map(), byProject = new Map(), byDay = new Map();
+  for (const c of calls) {
+    count(total, c);
+    const server = c.name.startsWith('mcp__') ? c.name.split('__')[1] : null;
+    const tool = count(bucket(byTool, c.name, { name: c.name, server, sessions: new Set(), lastUsed: null, week: 0, prevWeek: 0 }), c);
+    tool.sessions.add(c.sessionId);
+    if (c.date > (tool.lastUsed || '')) tool.lastUsed = c.date;
+    if (until && c.date <= until && c.date > addDays(until, -7)) tool.week++;
+    else if (until && c.date <= addDays(until, -7) && c.date > addDays(until, -14)) tool.prevWeek++;
+    if (server) count(bucket(byServer, server, { server, tools: new Set() }), c).tools.add(c.name);
+    const project = count(bucket(byProject, c.projectKey, { projectKey: c.projectKey, projectName: c.projectName, tools: {} }), c);
+    project.tools[c.name] = (project.tools[c.name] || 0) + 1;
+    if (c.date) {
+      const day = count(bucket(byDay, c.date, { date: c.date, tools: {} }), c);
+      day.tools[c.name] = (day.tools[c.name] || 0) + 1;
+    }
+  }
+
+  const byCalls = (a, b) => b.calls - a.calls;
+  return {
+    ...withRates(total),
+    tools: [...byTool.values()].map(t => withRates({ ...t, sessions: t.sessions.size })).sort(byCalls),
+    servers: [...byServer.values()].map(s => withRates({ ...s, tools: s.tools.size })).sort(byCalls),
+    projects: [...byProject.values()].map(withRates).sort(byCalls),
+    daily: [...byDay.values()].map(withRates).sort((a, b) => a.date.localeCompare(b.date)),
+  };
+}
+
+function estimateDailyModels(ctx, dailyModelTokens) {
+  return dailyModelTokens.map(d => {
+    const tokens = d.tokensByModel || {};
+    return {
+      date: d.date,
+      tokens,
+      total: Object.values(tokens).reduce((s, n) => s + n, 0),
+      cost: Object.entries(tokens).reduce((s, [id, n]) => s + dailyModelCost(ctx, id, n, d.date), 0),
+    };
+  });
+}
+
+// Splits the estimated daily spend into billing months (renewing on the
+// billing start's day of month) and tracks cumulative cost against what the
+// subscription has cost so far. Without a start date, billing is assumed to
+// begin on the first recorded day.
+function computePlanValue({ stats, settings: { plan } }, dailyModels) {
+  const start = plan.start || (stats.dailyModelTokens || [])[0]?.date || dailyModels[0]?.date;
+  const days = dailyModels.filter(d => d.date >= start);
+  const result = { id: plan.id, label: plan.label, monthly: plan.monthly, start: start || null, months: [], totalCost: 0, totalPaid: 0, multiplier: null, breakEvenDate: null };
+  if (!days.length) return result;
+
+  const [y, mo, day] = start.split('-').map(Number);
+  let cumulativeCost = 0, cumulativePaid = 0;
+  for (let i = 0, d = 0; d < days.length; i++) {
+    const from = cycleDate(y, mo - 1 + i, day);
+    const to = addDays(cycleDate(y, mo + i, day), -1);
+    // Skip cycles before the report window; later idle cycles are still paid for
+    if (!result.months.length && to < days[d].date) continue;
+    cumulativePaid += plan.monthly;
+    let cost = 0;
+    for (; d < days.length && days[d].date <= to; d++) {
+      cost += days[d].cost;
+      cumulativeCost += days[d].cost;
+      if (!result.breakEvenDate && plan.monthly && cumulativeCost >= cumulativePaid) result.breakEvenDate = days[d].date;
+    }
+    result.months.push({
+      start: from, end: to, cost, paid: plan.monthly,
+      multiplier: plan.monthly ? cost / plan.monthly : null,
+      cumulativeCost, cumulativePaid,
+    });
+  }
+  result.totalCost = cumulativeCost;
+  result.totalPaid = cumulativePaid;
+  result.multiplier = cumulativePaid ? cumulativeCost / cumulativePaid : null;
+  return result;
+}
+
+function cycleDate(year, monthIndex, day) {
+  const last = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, monthIndex, Math.min(day, last))).toISOString().slice(0, 10);
+}
+
+function addDays(date, n) {
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+// Combines exported data.json files into one team report. The directory holds
+// either <name>.json (+ optional <name>.prompts.json) or <name>/data.json
+// (+ optional <name>/prompts.json); an export's own "alias" wins over <name>.
+function mergeTeam(settings, dir, outDir) {
+  const { generated, publicMode, redaction, offline } = settings;
+  if (!existsSync(dir)) fail(`No such directory: ${dir}`);
+  console.log(`👥 Merging exports from ${dir}...`);
+  const members = loadTeamExports(dir);
+  if (!members.length) fail(`No data.json exports found in ${dir}`);
+  console.log(`   Found ${members.length} members: ${members.map(m => m.alias).join(', ')}`);
+
+  const team = computeTeam(members);
+  mkdirSync(outDir, { recursive: true });
+  writeHTML(join(outDir, 'index.html'), generateTeamHTML(team, settings), offline);
+  writeFileSync(join(outDir, 'data.json'), JSON.stringify({ generated, ...team }, null, 2));
+  console.log('✅ team/index.html generated\n✅ team/data.json generated');
+
+  const prompts = publicMode ? [] : members
+    .flatMap(m => m.prompts.map(p => ({ ...p, prompt: redactText(redaction, p.prompt), summary: redactText(redaction, p.summary), person: m.alias, project: `${m.alias} · ${p.project || ''}` })))
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  if (prompts.length) {
+    writeHTML(join(outDir, 'prompts.html'), generatePromptsHTML({ prompts, sessions: prompts }), offline);
+    writeFileSync(join(outDir, 'prompts.json'), JSON.stringify(prompts, null, 2));
+    console.log('✅ team/prompts.html generated\n✅ team/prompts.json generated');
+  }
+}
+
+function loadTeamExports(dir) {
+  const members = [];
+  const aliases = new Set();
+  for (const entry of readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    let name, dataFile, promptsFile;
+    if (entry.isDirectory()) {
+      name = entry.name;
+      dataFile = join(dir, name, 'data.json');
+      promptsFile = join(dir, name, 'prompts.json');
+    } else if (entry.name.endsWith('.json') && !entry.name.endsWith('prompts.json')) {
+      name = basename(entry.name, '.json').replace(/[.-]data$/, '');
+      dataFile = join(dir, entry.name);
+      promptsFile = join(dir, `${name}.prompts.json`);
+    } else continue;
+    if (!existsSync(dataFile)) continue;
+
+    let data;
+    try {
+      data = JSON.parse(readFileSync(dataFile, 'utf-8'));
+    } catch (err) {
+      console.warn(`⚠️  Skipping ${dataFile}: ${err.message}`);
+      continue;
+    }
+    if (typeof data.totalTokens !== 'number' || !Array.isArray(data.daily)) {
+      console.warn(`⚠️  Skipping ${dataFile}: not a data.json export`);
+      continue;
+    }
+    // Exports come from other people and end up in the shared team page:
+    // keep well-formed model and day rows only, with numeric counters
+    const models = (Array.isArray(data.models) ? data.models : []).filter(m => isPlainObject(m) && typeof m.id === 'string');
+    const daily = data.daily.filter(d => isPlainObject(d) && isDay(d.date));
+    const skipped = (Array.isArray(data.models) ? data.models.length : 0) - models.length + data.daily.length - daily.length;
+    if (skipped) console.warn(`⚠️  ${dataFile}: ${skipped} malformed model or daily row${skipped === 1 ? '' : 's'} skipped`);
+    data.models = models.map(m => ({ id: m.id, ...Object.fromEntries(['total', 'input', 'output', 'cacheRead', 'cacheCreate'].map(k => [k, count(m[k])])) }));
+    data.daily = daily.map(d => ({ date: d.date, messageCount: count(d.messageCount), sessionCount: count(d.sessionCount), toolCallCount: count(d.toolCallCount) }));
+    for (const key of ['totalMessages', 'totalSessions', 'totalToolCalls', 'costEstimate', 'dayCount']) data[key] = count(data[key]);
+    if (typeof data.alias !== 'string') delete data.alias;
+    let prompts = [];
+    if (existsSync(promptsFile)) {
+      try {
+        prompts = JSON.parse(readFileSync(promptsFile, 'utf-8'));
+      } catch (err) {
+        console.warn(`⚠️  Ignoring ${promptsFile}: ${err.message}`);
+      }
+    }
+
+    let memberAlias = data.alias || name;
+    for (let n = 2; aliases.has(memberAlias); n++) memberAlias = `${data.alias || name} (${n})`;
+    aliases.add(memberAlias);
+    members.push({ alias: memberAlias, data, prompts: teamPrompts(prompts) });
+  }
+  return members;
+}
+
+// A member's prompts.json rows, with the same shape as extractPrompts() output
+function teamPrompts(rows) {
+  const text = v => typeof v === 'string' ? v : v === null || v === undefined ? '' : String(v);
+  const number = v => typeof v === 'number' && Number.isFinite(v) ? v : null;
+  return (Array.isArray(rows) ? rows : []).filter(isPlainObject).map(p => ({
+    date: text(p.date),
+    modified: text(p.modified || p.date),
+    sessionId: text(p.sessionId),
+    prompt: text(p.prompt),
+    summary: text(p.summary),
+    project: text(p.project),
+    branch: text(p.branch),
+    messages: count(p.messages),
+    tokens: number(p.tokens),
+    cost: number(p.cost),
+  }));
+}
+
+function computeTeam(members) {
+  const people = members.map(({ alias, data }) => ({
+    alias,
+    tokens: data.totalTokens,
+    cost: data.costEstimate || 0,
+    messages: data.totalMessages || 0,
+    sessions: data.totalSessions || 0,
+    toolCalls: data.totalToolCalls || 0,
+    dayCount: data.dayCount || data.daily.length,
+    firstDate: data.daily[0]?.date || null,
+    lastDate: data.daily[data.daily.length - 1]?.date || null,
+    generated: data.generated || null,
+    models: (data.models || []).map(m => ({ id: m.id, total: m.total || 0 })),
+  })).sort((a, b) => b.tokens - a.tokens);
+
+  const sum = key => people.reduce((s, p) => s + p[key], 0);
+  const totals = {
+    members: people.length,
+    tokens: sum('tokens'), cost: sum('cost'),
+    messages: sum('messages'), sessions: sum('sessions'), toolCalls: sum('toolCalls'),
+  };
+
+  const modelTotals = new Map();
+  for (const { data } of members) {
+    for (const m of data.models || []) {
+      const t = modelTotals.get(m.id) || { id: m.id, total: 0, input: 0, output: 0, cacheRead: 0, cacheCreate: 0 };
+      for (const k of ['total', 'input', 'output', 'cacheRead', 'cacheCreate']) t[k] += m[k] || 0;
+      modelTotals.set(m.id, t);
+    }
+  }
+
+  const dailyTotals = new Map();
+  for (const { data } of members) {
+    for (const d of data.daily) {
+      const t = dailyTotals.get(d.date) || { date: d.date, messageCount: 0, sessionCount: 0, toolCallCount: 0, members: 0 };
+      t.messageCount += d.messageCount || 0;
+      t.sessionCount += d.sessionCount || 0;
+      t.toolCallCount += d.toolCallCount || 0;
+      t.members++;
+      dailyTotals.set(d.date, t);
+    }
+  }
+
+  // Leaderboard of the busiest single person-days
+  const busiestDays = members
+    .flatMap(({ alias, data }) => data.daily.map(d => ({ date: d.date, alias, messages: d.messageCount || 0, sessions: d.sessionCount || 0 })))
+    .sort((a, b) => b.messages - a.messages)
+    .slice(0, 10);
+
+  return {
+    totals,
+    people,
+    models: [...modelTotals.values()].sort((a, b) => b.total - a.total),
+    daily: [...dailyTotals.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    busiestDays,
+  };
+}
+
+// Usage so far in the current day / ISO week / calendar month, projected to
+// the end of the period at the pace so far. Days covered by transcripts use
+// their exact usage; older days fall back to the dailyModelTokens estimate
+// (output tokens only).
+function evaluateBudgets(ctx, dailyModels) {
+  const { budgets, now } = ctx.settings;
+  const today = localDate(now);
+  const estimated = new Map(dailyModels.map(d => [d.date, d]));
+  const spendOn = date => {
+    const exact = ctx.transcripts.byDay.get(date);
+    if (exact) {
+      return Object.entries(exact.models).map(([id, u]) => ({ id, tokens: usageTotal(u), cost: modelCost(ctx, id, u, date) }));
+    }
+    return Object.entries(estimated.get(date)?.tokens || {}).map(([id, n]) => ({ id, tokens: n, cost: dailyModelCost(ctx, id, n, date) }));
+  };
+  const windows = {
+    day: { since: today, until: today },
+    week: isoWeekOf(today),
+    month: monthOf(today),
+  };
+
+  const monthSpend = sumSpend(windows.month.since, today, spendOn);
+  const monthEnd = {
+    since: windows.month.since, until: windows.month.until,
+    cost: monthSpend.cost,
+    projected: monthSpend.cost / periodElapsed(windows.month, now),
+  };
+
+  const results = budgets.map(b => {
+    const w = windows[b.period];
+    const used = sumSpend(w.since, today, spendOn, b.model)[b.kind];
+    const projected = used / periodElapsed(w, now);
+    const status = used > b.limit ? 'breach' : projected > b.limit ? 'warn' : 'ok';
+    return { ...b, since: w.since, until: w.until, used, projected, status };
+  });
+  return { monthEnd, results };
+}
+
+function sumSpend(since, until, spendOn, model) {
+  const total = { tokens: 0, cost: 0 };
+  for (let date = since; date <= until; date = addDays(date, 1)) {
+    for (const s of spendOn(date)) {
+      if (model && s.id !== model && !s.id.startsWith(model + '-')) continue;
+      total.tokens += s.tokens;
+      total.cost += s.cost;
+    }
+  }
+  return total;
+}
+
+// Fraction of a period (local dates, inclusive) that has passed
+function periodElapsed({ since, until }, now) {
+  const start = new Date(since + 'T00:00:00');
+  const end = new Date(addDays(until, 1) + 'T00:00:00');
+  return Math.min(Math.max((now - start) / (end - start), 0.01), 1);
 }
 
-function escapeHtml(s) {
-  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+function budgetLabel(b) {
+  const period = { day: 'Daily', week: 'Weekly', month: 'Monthly' }[b.period];
+  return `${period} ${b.kind} · ${b.model ? modelShortName(b.model) : 'all models'}`;
+}
+
+function budgetValue(b, n) {
+  return b.kind === 'cost' ? fmtMoney(n) : fmt(Math.round(n));
+}
+
+// Prints every budget and returns the worst status
+function printBudgetCheck({ monthEnd, results }) {
+  console.log(`\n💰 Month to date ${fmtMoney(monthEnd.cost)}, projected ${fmtMoney(monthEnd.projected)} by ${monthEnd.until}`);
+  if (!results.length) console.log('   No budgets configured');
+  for (const b of results) {
+    const icon = { ok: '✅', warn: '⚠️ ', breach: '❌' }[b.status];
+    const note = b.status === 'breach' ? 'OVER BUDGET' : b.status === 'warn' ? 'on pace to exceed' : 'ok';
+    console.log(`${icon} ${budgetLabel(b)}: ${budgetValue(b, b.used)} of ${budgetValue(b, b.limit)} (projected ${budgetValue(b, b.projected)}) — ${note}`);
+  }
+  return results.some(b => b.status === 'breach') ? 'breach' : results.some(b => b.status === 'warn') ? 'warn' : 'ok';
+}
+
+// Serves OUT_DIR over HTTP and regenerates it (by re-running this script as a
+// report) whenever stats-cache.json or a project transcript changes. Pages get
+// a small Server-Sent Events client injected and reload after each rebuild.
+// Resolves once the server has shut down (Ctrl-C).
+async function serveDashboard({ outDir, claudeDir, statsFile, projectsDir }, port) {
+  const script = fileURLToPath(import.meta.url);
+  const reportArgs = ['report'];
+  for (let i = 3; i < process.argv.length; i++) {
+    if (process.argv[i] === '--port') i++;
+    else if (!['--push', '--check'].includes(process.argv[i])) reportArgs.push(process.argv[i]);
+  }
+
+  const clients = new Set();
+  let running = false, pending = false, timer = null;
+  const regenerate = () => new Promise(done => {
+    running = true;
+    const child = spawn(process.execPath, [script, ...reportArgs], { stdio: ['ignore', 'ignore', 'inherit'] });
+    child.on('exit', code => {
+      running = false;
+      const at = new Date().toLocaleTimeString();
+      if (code === 0) {
+        console.log(`🔄 Regenerated at ${at}`);
+        for (const res of clients) res.write(`event: update\ndata: ${JSON.stringify({ at: new Date().toISOString() })}\n\n`);
+      } else {
+        console.error(`❌ Regeneration failed (exit ${code}) at ${at}`);
+      }
+      if (pending) {
+        pending = false;
+        schedule();
+      }
+      done();
+    });
+  });
+  // Transcripts are written on every message, so batch bursts of changes
+  const schedule = () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(regenerate, 3000);
+  };
+
+  console.log('📊 Generating dashboard...');
+  await regenerate();
+
+  const watchers = [];
+  const watchDir = (dir, filter) => {
+    try {
+      watchers.push(watch(dir, (_, file) => {
+        if (!filter || filter(file)) schedule();
+      }));
+    } catch (err) {
+      console.warn(`⚠️  Cannot watch ${dir}: ${err.message}`);
+    }
+  };
+  // Watch directories rather than files: the cache is replaced, not edited
+  watchDir(dirname(statsFile), file => file === basename(statsFile));
+  const watchedProjects = new Set();
+  const watchProjects = () => {
+    if (!existsSync(projectsDir)) return;
+    for (const dir of readdirSync(projectsDir)) {
+      if (watchedProjects.has(dir)) continue;
+      watchedProjects.add(dir);
+      watchDir(join(projectsDir, dir), file => file?.endsWith('.jsonl') || file === 'sessions-index.json');
+    }
+  };
+  watchProjects();
+  if (existsSync(projectsDir)) {
+    watchers.push(watch(projectsDir, () => {
+      watchProjects();
+      schedule();
+    }));
+  }
+
+  const types = { '.html': 'text/html; charset=utf-8', '.json': 'application/json; charset=utf-8' };
+  const liveReload = `<script>new EventSource('/events').addEventListener('update', () => location.reload());</script>`;
+  const root = resolve(outDir);
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/events') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+      res.write('retry: 3000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+    let path;
+    try {
+      path = url.pathname === '/api/data' ? 'data.json'
+        : decodeURIComponent(url.pathname).replace(/\/$/, '/index.html').replace(/^\//, '');
+    } catch {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Bad request');
+      return;
+    }
+    const file = resolve(root, path);
+    if (!types[extname(file)] || !file.startsWith(root + sep) || !existsSync(file) || !statSync(file).isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    let body = readFileSync(file, 'utf-8');
+    if (extname(file) === '.html') {
+      // The live-reload hook isn't in an --offline page's CSP, so drop the policy when serving
+      body = body.replace(/\s*<meta http-equiv="Content-Security-Policy"[^>]*>/, '').replace('</body>', `${liveReload}\n</body>`);
+    }
+    res.writeHead(200, { 'Content-Type': types[extname(file)], 'Cache-Control': 'no-store' });
+    res.end(body);
+  });
+
+  await new Promise((ok, error) => {
+    server.once('error', err => error(err));
+    server.listen(port, '127.0.0.1', ok);
+  }).catch(err => fail(`Cannot listen on port ${port}: ${err.message}`));
+  console.log(`🌐 Serving http://localhost:${port}/ (prompts.html, /api/data) — watching ${claudeDir}`);
+
+  await new Promise(done => {
+    process.once('SIGINT', () => {
+      console.log('\n👋 Stopping server');
+      clearTimeout(timer);
+      for (const w of watchers) w.close();
+      for (const res of clients) res.end();
+      server.close(done);
+    });
+  });
+}
+
+// Calendar months ("2026-09") or ISO weeks ("2026-W38") covering the given dates
+function listPeriods(kind, dates) {
+  const byKey = new Map();
+  for (const date of dates) {
+    const p = kind === 'month' ? monthOf(date) : isoWeekOf(date);
+    if (!byKey.has(p.key)) byKey.set(p.key, p);
+  }
+  return [...byKey.values()].sort((a, b) => a.since.localeCompare(b.since));
+}
+
+function monthOf(date) {
+  const [y, m] = date.split('-').map(Number);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  const key = date.slice(0, 7);
+  return { key, since: `${key}-01`, until: `${key}-${String(last).padStart(2, '0')}` };
+}
+
+function isoWeekOf(date) {
+  const d = new Date(date + 'T00:00:00Z');
+  const monday = new Date(d);
+  monday.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+  const sunday = new Date(monday);
+  sunday.setUTCDate(monday.getUTCDate() + 6);
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  const year = thursday.getUTCFullYear();
+  const week = Math.ceil(((thursday - Date.UTC(year, 0, 1)) / 86_400_000 + 1) / 7);
+  const iso = dt => dt.toISOString().slice(0, 10);
+  return { key: `${year}-W${String(week).padStart(2, '0')}`, since: iso(monday), until: iso(sunday) };
+}
+
+function maxDate(a, b) { return !b || a > b ? a : b; }
+function minDate(a, b) { return !b || a < b ? a : b; }
+
+// stats-cache.json is a cache: days drop out of it and its lifetime counters
+// restart after a reinstall. Each run appends what changed to two append-only
+// JSONL files and rebuilds `stats` from the full record:
+//   daily.jsonl     one row per date, last row for a date wins; lifetime
+//                   messages and sessions are summed from these rows
+//   snapshots.jsonl lifetime counters. A drop in them only starts a new cache
+//                   generation (`reset`) when the days still in the cache lost
+//                   counts too, or none of them survived; days merely ageing
+//                   out lower the counters without a reset. Model usage sums
+//                   the highest counts of every generation
+function mergeHistory(stats, dir, generated) {
+  mkdirSync(dir, { recursive: true });
+  const dailyFile = join(dir, 'daily.jsonl');
+  const snapshotFile = join(dir, 'snapshots.jsonl');
+
+  const days = new Map(readJSONL(dailyFile).map(r => [r.date, r]));
+  const recorded = new Map(days);
+  const cached = new Map();
+  for (const d of stats.dailyActivity || []) cached.set(d.date, { date: d.date, activity: d, modelTokens: null });
+  for (const d of stats.dailyModelTokens || []) {
+    const row = cached.get(d.date) || { date: d.date, activity: null, modelTokens: null };
+    row.modelTokens = d.tokensByModel || {};
+    cached.set(d.date, row);
+  }
+
+  let added = 0;
+  const appended = [];
+  for (const [date, row] of cached) {
+    const prev = days.get(date);
+    // A cache rebuilt mid-day can hold less than what we already recorded
+    if (prev?.activity && row.activity && row.activity.messageCount < prev.activity.messageCount) continue;
+    const next = { date, activity: row.activity || prev?.activity || null, modelTokens: row.modelTokens || prev?.modelTokens || null };
+    if (prev && JSON.stringify([prev.activity, prev.modelTokens]) === JSON.stringify([next.activity, next.modelTokens])) continue;
+    days.set(date, next);
+    appended.push(JSON.stringify({ ...next, recorded: generated }));
+    added++;
+  }
+  if (appended.length) appendFileSync(dailyFile, appended.join('\n') + '\n');
+
+  const snapshots = readJSONL(snapshotFile);
+  const current = {
+    modelUsage: stats.modelUsage || {},
+    totalMessages: stats.totalMessages || 0,
+    totalSessions: stats.totalSessions || 0,
+    firstSessionDate: stats.firstSessionDate || null,
+    lastComputedDate: stats.lastComputedDate || null,
+  };
+  const last = snapshots[snapshots.length - 1];
+  const unchanged = last && JSON.stringify({ ...last, recorded: undefined, reset: undefined }) === JSON.stringify(current);
+  if (!unchanged) {
+    const snap = { ...current, reset: Boolean(last && counterDropped(last, current) && cacheRestarted(recorded, cached)), recorded: generated };
+    snapshots.push(snap);
+    appendFileSync(snapshotFile, JSON.stringify(snap) + '\n');
+  }
+
+  // Highest counts per generation, so days ageing out don't lower them
+  const generations = [];
+  for (const snap of snapshots) {
+    const prev = generations[generations.length - 1];
+    if (!prev || snap.reset) {
+      generations.push({ modelUsage: structuredClone(snap.modelUsage), firstSessionDate: snap.firstSessionDate });
+      continue;
+    }
+    for (const [id, u] of Object.entries(snap.modelUsage)) {
+      const m = prev.modelUsage[id] ||= {};
+      for (const [k, v] of Object.entries(u)) if (typeof v === 'number') m[k] = Math.max(m[k] || 0, v);
+    }
+    prev.firstSessionDate ||= snap.firstSessionDate;
+  }
+
+  const sorted = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const restored = sorted.filter(d => !cached.has(d.date)).length;
+  stats.dailyActivity = sorted.filter(d => d.activity).map(d => ({ ...d.activity, date: d.date }));
+  stats.dailyModelTokens = sorted.filter(d => d.modelTokens).map(d => ({ date: d.date, tokensByModel: d.modelTokens }));
+  stats.modelUsage = {};
+  for (const g of generations) {
+    for (const [id, u] of Object.entries(g.modelUsage)) {
+      const m = stats.modelUsage[id] ||= {};
+      for (const [k, v] of Object.entries(u)) if (typeof v === 'number') m[k] = (m[k] || 0) + v;
+    }
+  }
+  // The cache's own counters can run ahead of its daily rows (today isn't
+  // computed yet), so they are a floor
+  const daySum = key => stats.dailyActivity.reduce((s, d) => s + (Number(d[key]) || 0), 0);
+  stats.totalMessages = Math.max(daySum('messageCount'), current.totalMessages);
+  stats.totalSessions = Math.max(daySum('sessionCount'), current.totalSessions);
+  const firstDates = generations.map(g => g.firstSessionDate).filter(Boolean).sort();
+  if (firstDates.length) stats.firstSessionDate = firstDates[0];
+
+  return { days: sorted.length, added, restored, epochs: generations.length };
+}
+
+function counterDropped(prev, snap) {
+  if (snap.totalMessages < prev.totalMessages || snap.totalSessions < prev.totalSessions) return true;
+  return Object.entries(prev.modelUsage).some(([id, u]) => usageTotal(snap.modelUsage[id] || {}) < usageTotal(u));
+}
+
+// A rebuilt cache either shares no days with the record or holds less for the
+// days it shares; a trimmed one keeps its recent days as they were
+function cacheRestarted(recorded, cached) {
+  const surviving = [...cached.values()].filter(row => recorded.get(row.date)?.activity && row.activity);
+  return !surviving.length || surviving.some(row => row.activity.messageCount < recorded.get(row.date).activity.messageCount);
+}
+
+function readJSONL(file) {
+  if (!existsSync(file)) return [];
+  const rows = [];
+  for (const line of readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch {
+      console.warn(`⚠️  Skipping malformed line in ${file}`);
+    }
+  }
+  return rows;
+}
+
+function loadAllSessions(projectsDir, found) {
+  const all = [];
+  if (!existsSync(projectsDir)) return all;
+  for (const dir of readdirSync(projectsDir)) {
+    const indexFile = join(projectsDir, dir, 'sessions-index.json');
+    if (!existsSync(indexFile)) continue;
+    let idx;
+    try {
+      idx = JSON.parse(readFileSync(indexFile, 'utf-8'));
+    } catch (err) {
+      diagnose('error', indexFile, `unreadable (${err.message}); its sessions are left out`, found);
+      continue;
+    }
+    if (!Array.isArray(idx?.entries)) {
+      diagnose('error', indexFile, 'has no "entries" list; its sessions are left out', found);
+      continue;
+    }
+    const entries = idx.entries.filter(e => typeof e?.sessionId === 'string' && !isNaN(new Date(e.created)));
+    if (entries.length < idx.entries.length) {
+      diagnose('warn', indexFile, `${idx.entries.length - entries.length} of ${idx.entries.length} entries without a sessionId or created date skipped`, found);
+    }
+    for (const entry of entries) {
+      all.push({ ...entry, projectDir: dir, projectPath: entry.projectPath || idx.originalPath || null });
+    }
+  }
+  return all.sort((a, b) => new Date(b.created) - new Date(a.created));
+}
+
+// Streams every <project>/*.jsonl transcript and sums the per-message `usage`
+// blocks by model. Claude Code writes one line per content block, so the same
+// API response appears several times — dedupe on message id + request id,
+// across all files since resumed and forked sessions copy earlier responses.
+// Records without a message id can't be matched up and are all counted.
+// Tool calls are keyed by their tool_use id and marked by the matching result.
+// Takes its directory and diagnostics list up front: other calls may run while
+// it awaits.
+async function loadTranscriptUsage(projectsDir, found) {
+  const result = { bySession: new Map(), byDay: new Map(), cwds: new Map(), toolCalls: new Map(), files: 0, skipped: 0 };
+  const outcomes = new Map();
+  const seen = new Set();
+  if (!existsSync(projectsDir)) return result;
+  for (const dir of readdirSync(projectsDir)) {
+    let files;
+    try {
+      files = readdirSync(join(projectsDir, dir)).filter(f => f.endsWith('.jsonl'));
+    } catch { continue; }
+    for (const file of files) {
+      result.files++;
+      let malformed = 0;
+      const lines = createInterface({ input: createReadStream(join(projectsDir, dir, file)), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let rec;
+        try { rec = JSON.parse(line); } catch { malformed++; continue; }
+        if (rec.cwd && !result.cwds.has(dir)) result.cwds.set(dir, rec.cwd);
+        const msg = rec.message;
+        for (const block of Array.isArray(msg?.content) ? msg.content : []) {
+          if (block?.type === 'tool_use' && block.id && !result.toolCalls.has(block.id)) {
+            result.toolCalls.set(block.id, {
+              name: block.name || 'unknown', sessionId: rec.sessionId || basename(file, '.jsonl'),
+              projectDir: dir, date: localDate(rec.timestamp),
+            });
+          } else if (block?.type === 'tool_result' && block.tool_use_id) {
+            outcomes.set(block.tool_use_id, toolOutcome(block));
+          }
+        }
+        if (rec.type !== 'assistant' || !msg?.usage || !msg.model || msg.model === '<synthetic>') continue;
+        if (msg.id) {
+          const key = `${msg.id}:${rec.requestId}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+        }
+        const sessionId = rec.sessionId || basename(file, '.jsonl');
+        const date = localDate(rec.timestamp);
+        const session = usageBucket(result.bySession, sessionId, { sessionId, projectDir: dir, start: rec.timestamp, end: rec.timestamp });
+        if (rec.timestamp < session.start) session.start = rec.timestamp;
+        if (rec.timestamp > session.end) session.end = rec.timestamp;
+        addUsage(session, msg.model, msg.usage);
+        if (date) addUsage(usageBucket(result.byDay, date, { date }), msg.model, msg.usage);
+      }
+      if (malformed) diagnose('warn', join(projectsDir, dir, file), `${malformed} malformed line${malformed === 1 ? '' : 's'} skipped`, found);
+      result.skipped += malformed;
+    }
+  }
+  for (const [id, call] of result.toolCalls) call.status = outcomes.get(id) || 'ok';
+  return result;
+}
+
+// A failed tool_result is "denied" when a permission prompt or rule rejected
+// the call (Claude Code answers with a fixed message), otherwise "error"
+function toolOutcome(block) {
+  if (!block.is_error) return 'ok';
+  const text = typeof block.content === 'string' ? block.content
+    : (Array.isArray(block.content) ? block.content : []).map(c => c?.text || '').join('\n');
+  return /^The user doesn't want to (proceed|take this action)|^Permission to use \S+ has been denied|haven't granted it yet/.test(text.trim())
+    ? 'denied' : 'error';
+}
+
+// Real path, display name and grouping key for every project directory.
+// Clones and worktrees of one repo (same origin remote, or same main worktree)
+// share a key and become one project; "projectAliases" in the config maps
+// paths or remotes (globs) to friendly names.
+function resolveProjects({ projectAliases, redaction }, sessions, transcripts) {
+  const recorded = new Map();
+  for (const s of sessions) {
+    if (s.projectPath) recorded.set(s.projectDir, [...(recorded.get(s.projectDir) || []), s.projectPath]);
+  }
+  const dirs = new Set([...sessions.map(s => s.projectDir), ...[...transcripts.bySession.values()].map(u => u.projectDir)]);
+
+  const groups = new Map();
+  for (const dir of dirs) {
+    const path = projectPath(dir, [...(recorded.get(dir) || []), transcripts.cwds.get(dir)]);
+    const repo = gitIdentity(path);
+    const key = repo || path;
+    if (!groups.has(key)) groups.set(key, { key, name: repo || path, dirs: [], paths: [] });
+    groups.get(key).dirs.push(dir);
+    groups.get(key).paths.push(path);
+  }
+
+  const info = new Map();
+  for (const g of groups.values()) {
+    const candidates = [g.key, ...g.paths];
+    const name = projectAliases.find(a => candidates.some(c => a.re.test(c)))?.name || g.name;
+    const label = maskProject(redaction, g.key, [...new Set([name, ...candidates, ...g.dirs])]);
+    for (const dir of g.dirs) {
+      info.set(dir, label
+        ? { projectName: label, projectKey: label, projectDir: label }
+        : { projectName: name, projectKey: g.key, projectDir: dir });
+    }
+  }
+  return info;
+}
+
+// Claude Code names a project directory after its path with every character
+// other than [A-Za-z0-9] turned into "-", so "claude-usage-report" and
+// "claude/usage/report" look the same. Trust a recorded cwd that encodes to the
+// directory name; otherwise walk the filesystem; otherwise keep the tail whole.
+function projectPath(dir, recorded) {
+  const encode = p => p.replace(/[^A-Za-z0-9]/g, '-');
+  const match = recorded.find(p => p && encode(p) === dir);
+  if (match) return match;
+
+  const parts = dir.replace(/^-/, '').split('-');
+  let path = '/', i = 0;
+  while (i < parts.length) {
+    let entries;
+    try { entries = readdirSync(path); } catch { break; }
+    let next = null;
+    for (let j = parts.length; j > i && !next; j--) {
+      const want = parts.slice(i, j).join('-');
+      const entry = entries.find(e => encode(e) === want);
+      if (entry) next = [entry, j];
+    }
+    if (!next) break;
+    path = join(path, next[0]);
+    i = next[1];
+  }
+  return i < parts.length ? join(path, parts.slice(i).join('-')) : path;
+}
+
+// Normalised origin URL ("github.com/acme/api"), or the main worktree of a
+// repo without one; null outside git or when the path is gone
+function gitIdentity(path) {
+  if (!existsSync(path)) return null;
+  const git = (...args) => {
+    try {
+      return execFileSync('git', ['-C', path, ...args], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch { return ''; }
+  };
+  const remote = git('config', '--get', 'remote.origin.url');
+  if (remote) {
+    return remote
+      .replace(/^[a-z+]+:\/\/(?:[^@/]+@)?/i, '')
+      .replace(/^[^@/]+@([^:/]+):/, '$1/')
+      .replace(/\.git$/, '')
+      .replace(/\/+$/, '');
+  }
+  const common = git('rev-parse', '--path-format=absolute', '--git-common-dir');
+  return common ? common.replace(/[\\/]\.git$/, '') : null;
+}
+
+function usageBucket(map, key, init) {
+  if (!map.has(key)) map.set(key, { ...init, models: {}, tokens: 0, cost: 0 });
+  return map.get(key);
+}
+
+// Transcript usage is snake_case; store it in the same shape as stats.modelUsage
+function addUsage(bucket, model, u) {
+  const m = bucket.models[model] ||= emptyUsage();
+  m.inputTokens += u.input_tokens || 0;
+  m.outputTokens += u.output_tokens || 0;
+  m.cacheReadInputTokens += u.cache_read_input_tokens || 0;
+  m.cacheCreationInputTokens += u.cache_creation_input_tokens || 0;
+  m.cacheCreation1hInputTokens += u.cache_creation?.ephemeral_1h_input_tokens || 0;
+}
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadInputTokens: 0, cacheCreationInputTokens: 0, cacheCreation1hInputTokens: 0 };
+}
+
+function mergeModels(buckets) {
+  const merged = {};
+  for (const b of buckets) {
+    for (const [id, u] of Object.entries(b.models)) {
+      const m = merged[id] ||= emptyUsage();
+      for (const k of Object.keys(m)) m[k] += u[k] || 0;
+    }
+  }
+  return merged;
+}
+
+function priceBucket(ctx, bucket, date) {
+  bucket.tokens = Object.values(bucket.models).reduce((s, u) => s + usageTotal(u), 0);
+  bucket.cost = Object.entries(bucket.models).reduce((s, [id, u]) => s + modelCost(ctx, id, u, date), 0);
+  return bucket;
+}
+
+function usageTotal(u) {
+  return (u.inputTokens || 0) + (u.outputTokens || 0) +
+    (u.cacheReadInputTokens || 0) + (u.cacheCreationInputTokens || 0);
+}
+
+function usageJSON(b) {
+  const { models, ...rest } = b;
+  return {
+    ...rest,
+    models: Object.entries(models).map(([id, u]) => ({ id, input: u.inputTokens, output: u.outputTokens, cacheRead: u.cacheReadInputTokens, cacheCreate: u.cacheCreationInputTokens, cacheCreate1h: u.cacheCreation1hInputTokens })),
+  };
+}
+
+function localDate(ts) {
+  const d = new Date(ts);
+  return isNaN(d) ? null : d.toLocaleDateString('en-CA');
+}
+
+function buildProjects(sessions, sessionUsage) {
+  const byKey = new Map();
+  const project = (key, name) => {
+    if (!byKey.has(key)) {
+      byKey.set(key, {
+        name, key,
+        sessions: 0, messages: 0, firstActivity: null, lastActivity: null,
+        tokens: 0, cost: 0, models: {}, sessionList: [],
+      });
+    }
+    return byKey.get(key);
+  };
+  for (const s of sessions) {
+    const p = project(s.projectKey, s.projectName);
+    const first = s.created, last = s.modified || s.created;
+    p.sessions++;
+    p.messages += s.messageCount || 0;
+    if (first && (!p.firstActivity || first < p.firstActivity)) p.firstActivity = first;
+    if (last && (!p.lastActivity || last > p.lastActivity)) p.lastActivity = last;
+    p.sessionList.push(s);
+  }
+  // Transcript totals also cover sessions missing from sessions-index.json
+  const usageByKey = new Map();
+  for (const u of sessionUsage) {
+    if (!usageByKey.has(u.projectKey)) usageByKey.set(u.projectKey, []);
+    usageByKey.get(u.projectKey).push(u);
+  }
+  for (const [key, list] of usageByKey) {
+    const p = project(key, list[0].projectName);
+    p.models = mergeModels(list);
+    p.tokens = list.reduce((s, u) => s + u.tokens, 0);
+    p.cost = list.reduce((s, u) => s + u.cost, 0);
+  }
+  return [...byKey.values()].sort((a, b) => b.cost - a.cost || b.messages - a.messages);
+}
+
+function extractPrompts(sessions) {
+  return sessions
+    .filter(s => s.firstPrompt)
+    .map(s => ({
+      date: s.created,
+      modified: s.modified || s.created,
+      sessionId: s.sessionId,
+      prompt: s.firstPrompt,
+      summary: s.summary || '',
+      project: s.projectName || '',
+      branch: s.gitBranch || '',
+      messages: s.messageCount || 0,
+      tokens: s.usage ? s.usage.tokens : null,
+      cost: s.usage ? s.usage.cost : null,
+    }));
+}
+
+function fmt(n) {
+  if (n >= 1e9) return (n / 1e9).toFixed(2) + 'B';
+  if (n >= 1e6) return (n / 1e6).toFixed(2) + 'M';
+  if (n >= 1e3) return (n / 1e3).toFixed(1) + 'K';
+  return n.toString();
+}
+
+function fmtMoney(n) {
+  const rounded = Math.round(n);
+  return (rounded < 0 ? '-$' : '$') + Math.abs(rounded).toLocaleString('en-US');
+}
+
+function fmtMultiplier(n) {
+  if (n === null) return '—';
+  return (n >= 10 ? Math.round(n) : n.toFixed(1)) + 'x';
+}
+
+function pct(part, whole) {
+  return whole ? ((part / whole) * 100).toFixed(1) : '0';
+}
+
+function modelColor(id) {
+  if (id.includes('opus-4-6')) return { bg: 'indigo', hex: '#6366f1' };
+  if (id.includes('opus')) return { bg: 'violet', hex: '#8b5cf6' };
+  if (id.includes('sonnet')) return { bg: 'emerald', hex: '#10b981' };
+  if (id.includes('haiku')) return { bg: 'amber', hex: '#f59e0b' };
+  if (id.includes('gemini')) return { bg: 'blue', hex: '#3b82f6' };
+  if (id.includes('glm')) return { bg: 'rose', hex: '#f43f5e' };
+  if (id.includes('gpt')) return { bg: 'teal', hex: '#14b8a6' };
+  if (id.includes('grok')) return { bg: 'orange', hex: '#f97316' };
+  return { bg: 'gray', hex: '#6b7280' };
+}
+
+function modelShortName(id) {
+  return id
+    .replace('claude-', '')
+    .replace(/-202\d{5}$/, '')
+    .replace(/-\d{8}$/, '');
+}
+
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ── Stats Schema ───────────────────────────────────────────────────────────────
+
+// stats-cache.json as everything downstream expects it: camelCase keys, per-day
+// rows as arrays sorted by date, non-negative counts. A missing file gives an
+// empty cache (the report then rests on session data alone); one that is not
+// JSON stops the run, since Claude Code may be halfway through rewriting it.
+function readStatsFile(file, required, log, found) {
+  if (!existsSync(file)) {
+    if (required) fail(`Stats file not found: ${file}`);
+    diagnose('warn', file, 'not found; totals come from session data only (see --claude-dir / --stats)', found);
+    return normalizeStats({}, file, found);
+  }
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    fail(`Cannot parse ${file}: ${err.message}`);
+  }
+  const stats = normalizeStats(raw, file, found);
+  log(`   Schema version ${stats.version ?? '(none)'}` + (stats.adapted.length ? `, adapted: ${stats.adapted.join(', ')}` : ''));
+  return stats;
+}
+
+function normalizeStats(raw, file, found) {
+  if (!isPlainObject(raw)) {
+    diagnose('error', file, `expected a JSON object, got ${Array.isArray(raw) ? 'an array' : typeof raw}; ignoring it`, found);
+    raw = {};
+  }
+  const version = Number.isInteger(raw.version) ? raw.version : null;
+  if (version > 2) diagnose('warn', file, `schema version ${version} is newer than this script knows (2); reading it as version 2`, found);
+
+  const adapted = [];
+  for (const adapter of STATS_ADAPTERS) {
+    if (!adapter.test(raw)) continue;
+    raw = adapter.apply(raw);
+    adapted.push(adapter.name);
+  }
+
+  const dropped = {};
+  const dated = (key, fn) => {
+    const list = Array.isArray(raw[key]) ? raw[key] : [];
+    if (raw[key] !== undefined && !Array.isArray(raw[key])) diagnose('error', file, `"${key}" is not a list; ignoring it`, found);
+    const out = list.filter(r => isPlainObject(r) && isDay(r.date)).map(fn);
+    if (out.length < list.length) dropped[key] = list.length - out.length;
+    return out.sort((a, b) => a.date.localeCompare(b.date));
+  };
+  const usage = u => Object.fromEntries(Object.keys(emptyUsage()).map(k => [k, count(u?.[k])]));
+
+  const dailyActivity = dated('dailyActivity', r => ({
+    date: r.date, messageCount: count(r.messageCount), sessionCount: count(r.sessionCount), toolCallCount: count(r.toolCallCount),
+  }));
+  const dailyModelTokens = dated('dailyModelTokens', r => ({
+    date: r.date,
+    tokensByModel: Object.fromEntries(Object.entries(isPlainObject(r.tokensByModel) ? r.tokensByModel : {}).map(([id, n]) => [id, count(n)])),
+  }));
+  for (const [key, n] of Object.entries(dropped)) diagnose('warn', file, `${n} "${key}" row${n === 1 ? '' : 's'} without a valid date skipped`, found);
+
+  let modelUsage = raw.modelUsage;
+  if (modelUsage !== undefined && !isPlainObject(modelUsage)) {
+    diagnose('error', file, '"modelUsage" is not an object; ignoring it', found);
+    modelUsage = {};
+  }
+  const badModels = Object.keys(modelUsage || {}).filter(id => !isPlainObject(modelUsage[id]));
+  if (badModels.length) diagnose('warn', file, `"modelUsage" entries that are not objects skipped: ${badModels.join(', ')}`, found);
+  const hourCounts = isPlainObject(raw.hourCounts) ? raw.hourCounts : {};
+  const dates = dailyActivity.map(d => d.date);
+  return {
+    version,
+    adapted,
+    lastComputedDate: isDay(raw.lastComputedDate) ? raw.lastComputedDate : dates[dates.length - 1] || null,
+    firstSessionDate: raw.firstSessionDate && !isNaN(new Date(raw.firstSessionDate)) ? raw.firstSessionDate : dates[0] || null,
+    totalSessions: count(raw.totalSessions),
+    totalMessages: count(raw.totalMessages),
+    longestSession: isPlainObject(raw.longestSession) && typeof raw.longestSession.sessionId === 'string' ? {
+      sessionId: raw.longestSession.sessionId,
+      messageCount: count(raw.longestSession.messageCount),
+      duration: count(raw.longestSession.duration),
+      timestamp: raw.longestSession.timestamp ?? null,
+    } : null,
+    modelUsage: Object.fromEntries(Object.entries(modelUsage || {}).filter(([id]) => !badModels.includes(id)).map(([id, u]) => [id, usage(u)])),
+    dailyActivity,
+    dailyModelTokens,
+    hourCounts: Object.fromEntries(Object.entries(hourCounts).filter(([h]) => /^([01]?\d|2[0-3])$/.test(h)).map(([h, n]) => [String(Number(h)), count(n)])),
+  };
+}
+
+// snake_case → camelCase for object keys, `depth` levels down (model IDs and
+// dates used as keys have no underscores worth touching)
+function camelKeys(value, depth) {
+  if (depth === 0 || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(v => camelKeys(v, depth));
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k.replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase()), camelKeys(v, depth - 1)]));
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isDay(v) {
+  return typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+}
+
+function count(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function diagnose(level, file, message, list) {
+  list.push({ level, file, message });
+}
+
+// Paths are shown relative to the Claude directory; long lists are cut short
+function printDiagnostics(list, claudeDir, limit = 20) {
+  if (!list.length) return;
+  const errors = list.filter(d => d.level === 'error').length;
+  console.warn(`⚠️  ${list.length} input problem${list.length === 1 ? '' : 's'}` + (errors ? ` (${errors} error${errors === 1 ? '' : 's'})` : '') + ':');
+  for (const d of list.slice(0, limit)) {
+    const path = d.file.startsWith(claudeDir + sep) ? relative(claudeDir, d.file) : d.file;
+    console.warn(`   ${d.level === 'error' ? '✖' : '•'} ${path}: ${d.message}`);
+  }
+  if (list.length > limit) console.warn(`   … and ${list.length - limit} more`);
+}
+
+// ── Exports (--format) ─────────────────────────────────────────────────────────
+
+function writeExports(dir, m, { quiet = false } = {}) {
+  const { formats } = m.context.settings;
+  const files = [];
+  if (formats.includes('csv')) {
+    writeFileSync(join(dir, 'daily.csv'), dailyCSV(m));
+    writeFileSync(join(dir, 'models.csv'), modelsCSV(m));
+    writeFileSync(join(dir, 'sessions.csv'), sessionsCSV(m));
+    files.push('daily.csv', 'models.csv', 'sessions.csv');
+  }
+  if (formats.includes('md')) {
+    writeFileSync(join(dir, 'summary.md'), summaryMarkdown(m));
+    files.push('summary.md');
+  }
+  if (formats.includes('prom')) {
+    // Renamed into place so the textfile collector never reads half a file
+    const temp = join(dir, `.metrics.prom.${process.pid}`);
+    writeFileSync(temp, prometheusText(m));
+    renameSync(temp, join(dir, 'metrics.prom'));
+    files.push('metrics.prom');
+  }
+  if (!quiet) for (const f of files) console.log(`✅ ${f} generated`);
+}
+
+// RFC 4180 quoting; text cells starting with a formula character are
+// prefixed with ' so spreadsheets don't evaluate them
+function toCSV(header, rows) {
+  const cell = v => {
+    if (v === null || v === undefined) return '';
+    if (typeof v === 'number') return String(Math.round(v * 1e6) / 1e6);
+    const s = /^[=+\-@\t\r]/.test(v) ? "'" + v : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return [header, ...rows].map(r => r.map(cell).join(',')).join('\n') + '\n';
+}
+
+function dailyCSV(m) {
+  const estimated = new Map(m.dailyModels.map(d => [d.date, d]));
+  const exact = new Map(m.dailyUsage.map(d => [d.date, d]));
+  return toCSV(
+    ['date', 'messages', 'sessions', 'tool_calls', 'output_tokens', 'estimated_cost_usd', 'transcript_tokens', 'transcript_cost_usd'],
+    m.daily.map(d => [
+      d.date, d.messageCount, d.sessionCount, d.toolCallCount || 0,
+      estimated.get(d.date)?.total ?? null, estimated.get(d.date)?.cost ?? null,
+      exact.get(d.date)?.tokens ?? null, exact.get(d.date)?.cost ?? null,
+    ]),
+  );
+}
+
+function modelsCSV(m) {
+  return toCSV(
+    ['model', 'input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_creation_tokens', 'total_tokens', 'cost_usd'],
+    m.models.map(x => [x.id, x.inputTokens || 0, x.outputTokens || 0, x.cacheReadInputTokens || 0, x.cacheCreationInputTokens || 0, x.total, x.cost]),
+  );
+}
+
+// Indexed sessions plus transcript-only ones; no prompt or summary text
+function sessionsCSV(m) {
+  const indexed = new Set(m.sessions.map(s => s.sessionId));
+  const rows = [
+    ...m.sessions,
+    ...m.sessionUsage.filter(u => !indexed.has(u.sessionId))
+      .map(u => ({ sessionId: u.sessionId, projectName: u.projectName, created: u.start, modified: u.end, usage: u })),
+  ];
+  return toCSV(
+    ['session_id', 'project', 'branch', 'created', 'modified', 'messages', 'input_tokens', 'output_tokens', 'cache_read_tokens', 'cache_creation_tokens', 'total_tokens', 'cost_usd'],
+    rows.map(s => {
+      const sum = key => s.usage ? Object.values(s.usage.models).reduce((n, u) => n + (u[key] || 0), 0) : null;
+      return [
+        s.sessionId, s.projectName, s.gitBranch || '', s.created, s.modified || s.created, s.messageCount ?? null,
+        sum('inputTokens'), sum('outputTokens'), sum('cacheReadInputTokens'), sum('cacheCreationInputTokens'),
+        s.usage?.tokens ?? null, s.usage?.cost ?? null,
+      ];
+    }),
+  );
+}
+
+function summaryMarkdown(m) {
+  const { alias, generated, plan } = m.context.settings;
+  const day = d => d ? String(d).slice(0, 10) : 'N/A';
+  const range = `${day(m.since || m.firstDate)} → ${day(m.until || m.lastDate)}`;
+  const title = m.period ? `Claude Usage · ${m.period}` : 'Claude Usage';
+  const lines = [
+    `## ${title}${alias ? ` — ${alias}` : ''}`,
+    '',
+    `${range} · generated ${generated.slice(0, 10)}`,
+    '',
+    '| Tokens | Messages | Sessions | Tool calls | Est. API cost |',
+    '|---:|---:|---:|---:|---:|',
+    `| ${fmt(m.totalTokens)} | ${m.totalMessages.toLocaleString('en-US')} | ${m.totalSessions.toLocaleString('en-US')} | ${m.totalToolCalls.toLocaleString('en-US')} | ${fmtMoney(m.costEstimate)} |`,
+    '',
+    `Input ${fmt(m.totalInput)} · output ${fmt(m.totalOutput)} · cache read ${fmt(m.totalCacheRead)} · cache write ${fmt(m.totalCacheCreate)}`,
+  ];
+  if (m.planValue.multiplier !== null) {
+    lines.push('', `${plan.label} plan: ${fmtMoney(m.planValue.totalCost)} API-equivalent vs ${fmtMoney(m.planValue.totalPaid)} paid (${fmtMultiplier(m.planValue.multiplier)})`);
+  }
+  lines.push('', '### Models', '', '| Model | Tokens | Share | Est. cost |', '|---|---:|---:|---:|');
+  for (const x of m.models) {
+    lines.push(`| ${x.id} | ${fmt(x.total)} | ${pct(x.total, m.totalTokens)}% | ${x.cost === null ? 'unpriced' : fmtMoney(x.cost)} |`);
+  }
+  lines.push('', '### Top days', '', '| Date | Messages | Sessions | Tool calls |', '|---|---:|---:|---:|');
+  for (const d of m.topDays) {
+    lines.push(`| ${d.date} | ${d.messageCount.toLocaleString('en-US')} | ${d.sessionCount} | ${(d.toolCallCount || 0).toLocaleString('en-US')} |`);
+  }
+  if (m.unpriced.length) lines.push('', `_Unpriced models (not in the cost): ${m.unpriced.join(', ')}_`);
+  return lines.join('\n') + '\n';
+}
+
+// Text exposition format for node_exporter's textfile collector. Lifetime
+// totals only ever grow (history keeps them across cache resets), so they are
+// counters; a windowed report exports gauges.
+function prometheusText(m) {
+  const { alias, now } = m.context.settings;
+  const label = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const base = alias ? { user: alias } : {};
+  const labels = extra => {
+    const all = Object.entries({ ...base, ...extra });
+    return all.length ? `{${all.map(([k, v]) => `${k}="${label(v)}"`).join(',')}}` : '';
+  };
+  const total = m.since || m.until ? 'gauge' : 'counter';
+  const out = [];
+  const metric = (name, type, help, samples) => {
+    out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [extra, value] of samples) out.push(`${name}${labels(extra)} ${value}`);
+  };
+
+  const types = { input: 'inputTokens', output: 'outputTokens', cache_read: 'cacheReadInputTokens', cache_creation: 'cacheCreationInputTokens' };
+  metric('claude_usage_tokens_total', total, 'Tokens by model and type.',
+    m.models.flatMap(x => Object.entries(types).map(([type, key]) => [{ model: x.id, type }, x[key] || 0])));
+  metric('claude_usage_messages_total', total, 'Messages.', [[{}, m.totalMessages]]);
+  metric('claude_usage_sessions_total', total, 'Sessions.', [[{}, m.totalSessions]]);
+  metric('claude_usage_tool_calls_total', total, 'Tool calls.', [[{}, m.totalToolCalls]]);
+  metric('claude_usage_estimated_cost_usd', 'gauge', 'Estimated API-equivalent cost in USD by model (unpriced models omitted).',
+    m.models.filter(x => x.cost !== null).map(x => [{ model: x.id }, +x.cost.toFixed(6)]));
+  metric('claude_usage_report_timestamp_seconds', 'gauge', 'When this report was generated.', [[{}, Math.floor(now.getTime() / 1000)]]);
+  return out.join('\n') + '\n';
+}
+
+// ── Offline Stylesheet ─────────────────────────────────────────────────────────
+
+// --offline: drop the Tailwind CDN script and Google Fonts, inline CSS for just
+// the utility classes the page uses, switch to system fonts and pin a CSP that
+// only allows the page's own inline scripts.
+
+function writeHTML(file, html, offline) {
+  writeFileSync(file, offline ? inlineStyles(html) : html);
+}
+
+function inlineStyles(html) {
+  html = html
+    .replace(/\s*<script src="https:\/\/cdn\.tailwindcss\.com"><\/script>\s*<script>\s*tailwind\.config[\s\S]*?<\/script>/, '')
+    .replace(/\s*@import url\('https:\/\/fonts\.googleapis\.com[^']*'\);/, '')
+    .replace(/'Inter', system-ui, sans-serif/g, SANS_STACK)
+    .replace(/'JetBrains Mono', monospace/g, MONO_STACK);
+
+  // Classes toggled from scripts never appear in the markup on their own
+  const classes = new Set(['hidden']);
+  for (const [, list] of html.matchAll(/\sclass="([^"]*)"/g)) {
+    for (const c of list.split(/\s+/)) if (c) classes.add(c);
+  }
+  const css = utilityCSS([...classes]);
+  // Tailwind's reset, trimmed to the elements these pages use
+  const preflight = `*, ::before, ::after { box-sizing: border-box; border: 0 solid #e5e7eb; }
+html { line-height: 1.5; -webkit-text-size-adjust: 100%; tab-size: 4; font-family: ${SANS_STACK}; }
+body { margin: 0; line-height: inherit; }
+h1, h2, h3, h4, h5, h6, p, ul, ol, figure, blockquote, pre { margin: 0; }
+h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: inherit; }
+ul, ol { list-style: none; padding: 0; }
+a { color: inherit; text-decoration: inherit; }
+table { text-indent: 0; border-color: inherit; border-collapse: collapse; }
+button, input, select, textarea { font-family: inherit; font-size: 100%; font-weight: inherit; line-height: inherit; color: inherit; margin: 0; padding: 0; background: transparent; }
+button { cursor: pointer; }
+input::placeholder, textarea::placeholder { opacity: 1; color: #9ca3af; }
+img, svg, video, canvas { display: block; vertical-align: middle; }
+[hidden] { display: none; }`;
+
+  const hashes = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)]
+    .map(([, code]) => `'sha256-${createHash('sha256').update(code).digest('base64')}'`);
+  const csp = `default-src 'none'; style-src 'unsafe-inline'; img-src data:; script-src ${hashes.join(' ') || "'none'"}`;
+
+  return html
+    .replace('<meta charset="UTF-8">', `<meta charset="UTF-8">\n  <meta http-equiv="Content-Security-Policy" content="${csp}">`)
+    // Reset before the page's own styles, utilities after them (as the CDN build does)
+    .replace('<style>', `<style>\n${preflight}\n`)
+    .replace('</style>', `\n${css}\n  </style>`);
+}
+
+// A small subset of Tailwind (v3 defaults + the theme colours above), enough
+// for the classes these pages use. Unknown classes (.glass, .bar, …) are the
+// page's own and are left to its <style> block.
+function utilityCSS(classes) {
+  const variantOrder = ['', 'hover', 'focus', 'group-hover', 'sm', 'md', 'lg', 'xl'];
+  const screens = { sm: 640, md: 768, lg: 1024, xl: 1280 };
+  const rules = [];
+  for (const cls of classes) {
+    const parts = cls.split(/:(?![^[]*\])/);
+    const utility = parts.pop();
+    if (parts.some(v => !variantOrder.includes(v))) continue;
+    const decl = utilityRule(utility);
+    if (!decl) continue;
+    let selector = '.' + cssEscape(cls);
+    if (parts.includes('hover')) selector += ':hover';
+    if (parts.includes('focus')) selector += ':focus';
+    if (parts.includes('group-hover')) selector = `.group:hover ${selector}`;
+    selector = decl.selector ? decl.selector.replace('&', selector) : selector;
+    if (utility.startsWith('placeholder-')) selector += '::placeholder';
+    const screen = parts.find(v => screens[v]);
+    const rank = Math.max(0, ...parts.map(v => variantOrder.indexOf(v)));
+    // Shorthands before axes before single sides, so "p-4 pb-0" cascades as in Tailwind
+    const side = /^-?(?:[pm][tblr]|rounded-[tblr]|border-[tblr])(?:-|$)/.test(utility) ? 2 : /^-?[pm][xy]-/.test(utility) ? 1 : 0;
+    rules.push({ rank, side, css: `${selector} { ${decl.css} }`, screen });
+  }
+  rules.sort((a, b) => a.rank - b.rank || a.side - b.side);
+
+  return rules.map(r => r.screen ? `@media (min-width: ${screens[r.screen]}px) { ${r.css} }` : r.css).join('\n');
+}
+
+function utilityRule(u) {
+  const negative = u.startsWith('-');
+  if (negative) u = u.slice(1);
+  const statics = {
+    block: 'display: block', 'inline-block': 'display: inline-block', inline: 'display: inline',
+    flex: 'display: flex', 'inline-flex': 'display: inline-flex', grid: 'display: grid',
+    table: 'display: table', hidden: 'display: none', contents: 'display: contents',
+    relative: 'position: relative', absolute: 'position: absolute', fixed: 'position: fixed', sticky: 'position: sticky',
+    'flex-row': 'flex-direction: row', 'flex-col': 'flex-direction: column', 'flex-col-reverse': 'flex-direction: column-reverse',
+    'flex-wrap': 'flex-wrap: wrap', 'flex-1': 'flex: 1 1 0%', 'flex-auto': 'flex: 1 1 auto', 'flex-none': 'flex: none',
+    'shrink-0': 'flex-shrink: 0', grow: 'flex-grow: 1',
+    'items-start': 'align-items: flex-start', 'items-center': 'align-items: center', 'items-end': 'align-items: flex-end',
+    'items-baseline': 'align-items: baseline', 'items-stretch': 'align-items: stretch',
+    'justify-start': 'justify-content: flex-start', 'justify-center': 'justify-content: center',
+    'justify-end': 'justify-content: flex-end', 'justify-between': 'justify-content: space-between',
+    'text-left': 'text-align: left', 'text-center': 'text-align: center', 'text-right': 'text-align: right',
+    'font-thin': 'font-weight: 100', 'font-light': 'font-weight: 300', 'font-normal': 'font-weight: 400',
+    'font-medium': 'font-weight: 500', 'font-semibold': 'font-weight: 600', 'font-bold': 'font-weight: 700',
+    'font-sans': `font-family: ${SANS_STACK}`, 'font-mono': `font-family: ${MONO_STACK}`,
+    italic: 'font-style: italic', uppercase: 'text-transform: uppercase', lowercase: 'text-transform: lowercase',
+    capitalize: 'text-transform: capitalize', underline: 'text-decoration-line: underline',
+    'tracking-tighter': 'letter-spacing: -0.05em', 'tracking-tight': 'letter-spacing: -0.025em',
+    'tracking-normal': 'letter-spacing: 0', 'tracking-wide': 'letter-spacing: 0.025em',
+    'tracking-wider': 'letter-spacing: 0.05em', 'tracking-widest': 'letter-spacing: 0.1em',
+    'leading-none': 'line-height: 1', 'leading-tight': 'line-height: 1.25', 'leading-snug': 'line-height: 1.375',
+    'leading-normal': 'line-height: 1.5', 'leading-relaxed': 'line-height: 1.625',
+    truncate: 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap',
+    'whitespace-nowrap': 'white-space: nowrap', 'whitespace-pre-wrap': 'white-space: pre-wrap',
+    'break-words': 'overflow-wrap: break-word', 'break-all': 'word-break: break-all',
+    'overflow-hidden': 'overflow: hidden', 'overflow-auto': 'overflow: auto',
+    'overflow-x-auto': 'overflow-x: auto', 'overflow-y-auto': 'overflow-y: auto',
+    'cursor-pointer': 'cursor: pointer', 'pointer-events-none': 'pointer-events: none', 'select-none': 'user-select: none',
+    antialiased: '-webkit-font-smoothing: antialiased; -moz-osx-font-smoothing: grayscale',
+    'transition-colors': 'transition-property: color, background-color, border-color, fill, stroke; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms',
+    transition: 'transition-property: color, background-color, border-color, opacity, box-shadow, transform; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms',
+    'outline-none': 'outline: 2px solid transparent; outline-offset: 2px',
+    'shadow-sm': 'box-shadow: 0 1px 2px 0 rgb(0 0 0 / 0.05)',
+    shadow: 'box-shadow: 0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+    'shadow-lg': 'box-shadow: 0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+    'shadow-xl': 'box-shadow: 0 20px 25px -5px rgb(0 0 0 / 0.1), 0 8px 10px -6px rgb(0 0 0 / 0.1)',
+    border: 'border-width: 1px', 'border-0': 'border-width: 0', 'border-2': 'border-width: 2px',
+    'border-t': 'border-top-width: 1px', 'border-b': 'border-bottom-width: 1px',
+    'border-l': 'border-left-width: 1px', 'border-r': 'border-right-width: 1px',
+    'border-l-2': 'border-left-width: 2px', 'border-dashed': 'border-style: dashed',
+    'sr-only': 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border-width: 0',
+  };
+  if (statics[u] && !negative) return { css: statics[u] };
+
+  const sizes = {
+    xs: ['0.75rem', '1rem'], sm: ['0.875rem', '1.25rem'], base: ['1rem', '1.5rem'], lg: ['1.125rem', '1.75rem'],
+    xl: ['1.25rem', '1.75rem'], '2xl': ['1.5rem', '2rem'], '3xl': ['1.875rem', '2.25rem'],
+    '4xl': ['2.25rem', '2.5rem'], '5xl': ['3rem', '1'], '6xl': ['3.75rem', '1'],
+  };
+  const radii = { none: '0', sm: '0.125rem', '': '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px' };
+  const maxWidths = {
+    xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem',
+    '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem', full: '100%', none: 'none',
+  };
+  const sides = {
+    '': [''], x: ['-left', '-right'], y: ['-top', '-bottom'],
+    t: ['-top'], b: ['-bottom'], l: ['-left'], r: ['-right'],
+  };
+  const gradients = { t: 'top', b: 'bottom', l: 'left', r: 'right', tr: 'top right', tl: 'top left', br: 'bottom right', bl: 'bottom left' };
+  const siblings = '& > :not([hidden]) ~ :not([hidden])';
+  let m;
+
+  if ((m = u.match(/^text-(xs|sm|base|lg|\d?xl)$/))) return { css: `font-size: ${sizes[m[1]][0]}; line-height: ${sizes[m[1]][1]}` };
+  if ((m = u.match(/^text-\[(\d[^\]]*)\]$/))) return { css: `font-size: ${m[1]}` };
+  if ((m = u.match(/^rounded(?:-([tblr]))?(?:-(none|sm|md|lg|xl|2xl|3xl|full))?$/))) {
+    const r = radii[m[2] || ''];
+    const corners = { t: ['top-left', 'top-right'], b: ['bottom-left', 'bottom-right'], l: ['top-left', 'bottom-left'], r: ['top-right', 'bottom-right'] }[m[1]];
+    return { css: corners ? corners.map(c => `border-${c}-radius: ${r}`).join('; ') : `border-radius: ${r}` };
+  }
+  if ((m = u.match(/^max-w-(.+)$/))) {
+    const v = maxWidths[m[1]] || arbitrary(m[1]);
+    return v && { css: `max-width: ${v}` };
+  }
+  if ((m = u.match(/^(min-w|min-h|w|h)-(.+)$/))) {
+    const prop = { w: 'width', h: 'height', 'min-w': 'min-width', 'min-h': 'min-height' }[m[1]];
+    const v = m[2] === 'screen' ? (prop.endsWith('width') ? '100vw' : '100vh') : spacing(m[2]);
+    return v && { css: `${prop}: ${v}` };
+  }
+  if ((m = u.match(/^(p|m)([xytblr]?)-(.+)$/))) {
+    const v = spacing(m[3]);
+    if (!v) return null;
+    const prop = m[1] === 'p' ? 'padding' : 'margin';
+    return { css: sides[m[2]].map(s => `${prop}${s}: ${negative ? `-${v}` : v}`).join('; ') };
+  }
+  if ((m = u.match(/^gap(?:-([xy]))?-(.+)$/))) {
+    const v = spacing(m[2]);
+    const prop = { x: 'column-gap', y: 'row-gap' }[m[1]] || 'gap';
+    return v && { css: `${prop}: ${v}` };
+  }
+  if ((m = u.match(/^space-([xy])-(.+)$/))) {
+    const v = spacing(m[2]);
+    return v && { selector: siblings, css: m[1] === 'x' ? `margin-left: ${v}` : `margin-top: ${v}` };
+  }
+  if ((m = u.match(/^(inset-x|inset-y|inset|top|bottom|left|right)-(.+)$/))) {
+    const v = spacing(m[2]);
+    if (!v) return null;
+    const props = { inset: ['top', 'right', 'bottom', 'left'], 'inset-x': ['left', 'right'], 'inset-y': ['top', 'bottom'] }[m[1]] || [m[1]];
+    return { css: props.map(p => `${p}: ${negative ? `-${v}` : v}`).join('; ') };
+  }
+  if ((m = u.match(/^translate-([xy])-(.+)$/))) {
+    const v = spacing(m[2]);
+    return v && { css: `transform: translate${m[1].toUpperCase()}(${negative ? `-${v}` : v})` };
+  }
+  if ((m = u.match(/^(grid-cols|col-span)-(\d+)$/))) {
+    return { css: m[1] === 'grid-cols' ? `grid-template-columns: repeat(${m[2]}, minmax(0, 1fr))` : `grid-column: span ${m[2]} / span ${m[2]}` };
+  }
+  if ((m = u.match(/^z-(\d+)$/))) return { css: `z-index: ${m[1]}` };
+  if ((m = u.match(/^opacity-(\d+)$/))) return { css: `opacity: ${m[1] / 100}` };
+  if ((m = u.match(/^bg-gradient-to-(t|b|l|r|tr|tl|br|bl)$/))) {
+    return { css: `background-image: linear-gradient(to ${gradients[m[1]]}, var(--tw-gradient-stops))` };
+  }
+  if (u === 'divide-y' || u === 'divide-x') {
+    return { selector: siblings, css: u === 'divide-y' ? 'border-top-width: 1px' : 'border-left-width: 1px' };
+  }
+
+  if ((m = u.match(/^(text|bg|border|divide|placeholder|from|to)-(.+)$/))) {
+    const c = color(m[2]);
+    if (!c) return null;
+    switch (m[1]) {
+      case 'text': case 'placeholder': return { css: `color: ${c}` };
+      case 'bg': return { css: `background-color: ${c}` };
+      case 'border': return { css: `border-color: ${c}` };
+      case 'divide': return { selector: siblings, css: `border-color: ${c}` };
+      case 'from': return { css: `--tw-gradient-from: ${c}; --tw-gradient-to: ${color(m[2].replace(/\/.*$/, '') + '/0')}; --tw-gradient-stops: var(--tw-gradient-from), var(--tw-gradient-to)` };
+      case 'to': return { css: `--tw-gradient-to: ${c}` };
+    }
+  }
+  return null;
+}
+
+// Tailwind spacing scale: n → n/4 rem, fractions → %, [..] → as written
+function spacing(v) {
+  if (v === '0') return '0';
+  if (v === 'px') return '1px';
+  if (v === 'auto') return 'auto';
+  if (v === 'full') return '100%';
+  if (/^\d+(\.5)?$/.test(v)) return `${Number(v) / 4}rem`;
+  if (/^\d+\/\d+$/.test(v)) {
+    const [a, b] = v.split('/');
+    return `${+(a / b * 100).toFixed(6)}%`;
+  }
+  return arbitrary(v);
+}
+
+function arbitrary(v) {
+  const m = v.match(/^\[([^\]]+)\]$/);
+  return m ? m[1].replace(/_/g, ' ') : null;
+}
+
+// "violet-500", "white/10", "surface-3/30", "white/[0.02]" → CSS colour
+function color(spec) {
+  const [name, alpha] = spec.split('/');
+  const palette = {
+    slate: 'f1f5f9 e2e8f0 cbd5e1 94a3b8 64748b 475569 334155 1e293b 0f172a',
+    gray: 'f3f4f6 e5e7eb d1d5db 9ca3af 6b7280 4b5563 374151 1f2937 111827',
+    red: 'fee2e2 fecaca fca5a5 f87171 ef4444 dc2626 b91c1c 991b1b 7f1d1d',
+    orange: 'ffedd5 fed7aa fdba74 fb923c f97316 ea580c c2410c 9a3412 7c2d12',
+    amber: 'fef3c7 fde68a fcd34d fbbf24 f59e0b d97706 b45309 92400e 78350f',
+    yellow: 'fef9c3 fef08a fde047 facc15 eab308 ca8a04 a16207 854d0e 713f12',
+    green: 'dcfce7 bbf7d0 86efac 4ade80 22c55e 16a34a 15803d 166534 14532d',
+    emerald: 'd1fae5 a7f3d0 6ee7b7 34d399 10b981 059669 047857 065f46 064e3b',
+    teal: 'ccfbf1 99f6e4 5eead4 2dd4bf 14b8a6 0d9488 0f766e 115e59 134e4a',
+    cyan: 'cffafe a5f3fc 67e8f9 22d3ee 06b6d4 0891b2 0e7490 155e75 164e63',
+    sky: 'e0f2fe bae6fd 7dd3fc 38bdf8 0ea5e9 0284c7 0369a1 075985 0c4a6e',
+    blue: 'dbeafe bfdbfe 93c5fd 60a5fa 3b82f6 2563eb 1d4ed8 1e40af 1e3a8a',
+    indigo: 'e0e7ff c7d2fe a5b4fc 818cf8 6366f1 4f46e5 4338ca 3730a3 312e81',
+    violet: 'ede9fe ddd6fe c4b5fd a78bfa 8b5cf6 7c3aed 6d28d9 5b21b6 4c1d95',
+    purple: 'f3e8ff e9d5ff d8b4fe c084fc a855f7 9333ea 7e22ce 6b21a8 581c87',
+    pink: 'fce7f3 fbcfe8 f9a8d4 f472b6 ec4899 db2777 be185d 9d174d 831843',
+    rose: 'ffe4e6 fecdd3 fda4af fb7185 f43f5e e11d48 be123c 9f1239 881337',
+  };
+  const named = {
+    white: 'ffffff', black: '000000',
+    primary: '1e40af', secondary: '3b82f6', accent: 'f59e0b',
+    surface: '0a0a0f', 'surface-2': '111118', 'surface-3': '1a1a24',
+  };
+  let hex = named[name];
+  const shade = name.match(/^([a-z]+)-([1-9])00$/);
+  if (shade && palette[shade[1]]) hex = palette[shade[1]].split(' ')[shade[2] - 1];
+  if (name === 'transparent') return 'transparent';
+  if (!hex) return null;
+  const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  if (alpha === undefined) return `rgb(${r} ${g} ${b})`;
+  const a = arbitrary(alpha) ?? (/^\d+$/.test(alpha) ? alpha / 100 : null);
+  return a === null ? null : `rgb(${r} ${g} ${b} / ${a})`;
+}
+
+function cssEscape(cls) {
+  return cls.replace(/[^A-Za-z0-9_-]/g, ch => '\\' + ch);
+}
+
+// ── HTML Generator ─────────────────────────────────────────────────────────────
+
+function generateHTML(m) {
+  const {
+    models, totalTokens, totalInput, totalOutput, totalCacheRead, totalCacheCreate,
+    costEstimate, totalMessages, totalSessions, totalToolCalls, avgMessagesPerDay,
+    daily, dailyModels, topDays, hourCounts, maxHourCount, projects,
+  } = m;
+  const { generated, generatedDisplay } = m.context.settings;
+  const maxDailyMsg = Math.max(...daily.map(d => d.messageCount), 1);
+
+  const dailyBars = daily.map(d => {
+    const h = Math.max((d.messageCount / maxDailyMsg) * 100, 1);
+    const dt = new Date(d.date);
+    const label = dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const isTop5 = topDays.some(t => t.date === d.date);
+    const gradient = isTop5 ? 'from-amber-600 to-amber-400' : 'from-violet-600 to-violet-400';
+    const border = isTop5 ? 'border-amber-500/30' : 'border-white/10';
+    const avg = m.rollingAverage[d.date];
+    return `<div class="bar-container flex flex-col items-center justify-end min-w-[14px] h-full relative group cursor-pointer">
+      <div class="tooltip absolute bottom-full mb-2 bg-surface-2 border ${border} px-3 py-2 rounded-lg text-xs whitespace-nowrap z-20 shadow-xl">
+        <div class="font-medium text-white">${label}</div>
+        <div class="text-gray-400 font-mono">${d.messageCount.toLocaleString()} msgs</div>
+        <div class="text-gray-500">${d.sessionCount} sessions</div>
+        <div class="text-emerald-400 font-mono">7-day avg ${Math.round(avg).toLocaleString()}</div>
+      </div>
+      <div class="bar w-3 rounded-t bg-gradient-to-t ${gradient}" style="height: ${h.toFixed(1)}%; min-height: 2px;"></div>
+      <div class="absolute left-0 right-0 h-0.5 bg-emerald-400 pointer-events-none" style="bottom: ${Math.min((avg / maxDailyMsg) * 100, 100).toFixed(1)}%"></div>
+    </div>`;
+  }).join('\n');
+
+  // "▲ 12%" against the previous 7 days and the same days of last month
+  const trendValue = (key, v) => key === 'tokens' ? fmt(v) : key === 'cost' ? fmtMoney(v)
+    : key === 'cacheHitRatio' ? (v === null ? '—' : (v * 100).toFixed(1) + '%') : v.toLocaleString();
+  const trendLine = key => {
+    if (!m.trends) return '';
+    const badge = (t, label) => {
+      const c = t.change[key];
+      const title = `${trendValue(key, t.current[key])} (${t.current.since} – ${t.current.until}) vs ${trendValue(key, t.previous[key])} (${t.previous.since} – ${t.previous.until})`;
+      if (c === null) return `<span class="text-gray-600" title="${title}">${label} —</span>`;
+      const size = key === 'cacheHitRatio' ? `${Math.abs(c * 100).toFixed(1)} pts` : `${Math.abs(c * 100).toFixed(0)}%`;
+      if (Math.abs(c) < 0.0005) return `<span class="text-gray-500" title="${title}">${label} = ${size}</span>`;
+      return `<span class="${c > 0 ? 'text-emerald-400' : 'text-rose-400'}" title="${title}">${label} ${c > 0 ? '▲' : '▼'} ${size}</span>`;
+    };
+    return `<div class="flex flex-wrap gap-x-3 text-xs font-mono mt-2">${badge(m.trends.week, '7d')}${badge(m.trends.month, 'MTD')}</div>`;
+  };
+
+  const modelRows = models.slice(0, 8).map(m => {
+    const c = modelColor(m.id);
+    const p = pct(m.total, totalTokens);
+    return `<div>
+      <div class="flex justify-between items-center mb-2">
+        <div class="flex items-center gap-2">
+          <span class="w-2 h-2 rounded-full bg-${c.bg}-500"></span>
+          <span class="text-sm text-gray-300">${modelShortName(m.id)}</span>
+        </div>
+        <span class="font-mono text-sm text-${c.bg}-400">${fmt(m.total)} <span class="text-gray-600">(${p}%) &middot; ${m.cost === null ? 'unpriced' : fmtMoney(m.cost)}</span></span>
+      </div>
+      <div class="h-1.5 bg-surface-3 rounded-full overflow-hidden">
+        <div class="h-full bg-${c.bg}-500 rounded-full" style="width: ${p}%"></div>
+      </div>
+    </div>`;
+  }).join('\n');
+
+  const topDayRows = topDays.map((d, i) => {
+    const dt = new Date(d.date);
+    const label = dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const isFirst = i === 0;
+    const bg = isFirst ? 'bg-amber-500/10 border border-amber-500/20' : 'bg-surface-3/50';
+    const badge = isFirst ? 'bg-amber-500 text-black' : 'bg-gray-700 text-gray-300';
+    return `<div class="flex items-center gap-3 p-3 ${bg} rounded-xl">
+      <span class="w-7 h-7 flex items-center justify-center ${badge} text-sm font-bold rounded-lg">${i + 1}</span>
+      <span class="flex-1 text-sm">${label}</span>
+      <span class="font-mono text-sm text-gray-400">${d.messageCount.toLocaleString()} msgs</span>
+    </div>`;
+  }).join('\n');
+
+  // Stacked output tokens per model, with the estimated spend drawn on top
+  const chartModels = [...new Set(dailyModels.flatMap(d => Object.keys(d.tokens)))]
+    .map(id => ({ id, total: dailyModels.reduce((s, d) => s + (d.tokens[id] || 0), 0) }))
+    .sort((a, b) => b.total - a.total);
+  const maxDailyTokens = Math.max(...dailyModels.map(d => d.total), 1);
+  const maxDailyCost = Math.max(...dailyModels.map(d => d.cost), 0.01);
+  const dailyModelBars = dailyModels.map(d => {
+    const label = new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const segments = chartModels.filter(cm => d.tokens[cm.id]).map(cm => {
+      const c = modelColor(cm.id);
+      return `<div class="w-full bg-${c.bg}-500" style="height: ${((d.tokens[cm.id] / d.total) * 100).toFixed(2)}%"></div>`;
+    }).join('');
+    const lines = chartModels.filter(cm => d.tokens[cm.id]).map(cm =>
+      `<div class="flex justify-between gap-4 font-mono"><span class="text-${modelColor(cm.id).bg}-400">${modelShortName(cm.id)}</span><span class="text-gray-400">${fmt(d.tokens[cm.id])}</span></div>`
+    ).join('');
+    return `<div class="bar-container flex-1 flex flex-col justify-end h-full relative group cursor-pointer">
+      <div class="tooltip absolute bottom-full left-1/2 -translate-x-1/2 mb-2 bg-surface-2 border border-white/10 px-3 py-2 rounded-lg text-xs whitespace-nowrap z-20 shadow-xl">
+        <div class="font-medium text-white mb-1">${label} &middot; <span class="text-accent">${fmtMoney(d.cost)}</span></div>
+        ${lines}
+      </div>
+      <div class="flex flex-col-reverse w-full rounded-t overflow-hidden" style="height: ${Math.max((d.total / maxDailyTokens) * 100, 1).toFixed(1)}%; min-height: 2px;">${segments}</div>
+    </div>`;
+  }).join('\n');
+  const spendPoints = dailyModels.map((d, i) => `${i + 0.5},${(100 - (d.cost / maxDailyCost) * 100).toFixed(2)}`).join(' ');
+  const modelLegend = chartModels.map(cm => `<span class="flex items-center gap-1.5"><span class="w-2 h-2 rounded-full bg-${modelColor(cm.id).bg}-500"></span>${modelShortName(cm.id)}</span>`).join('\n');
+
+  // Tool usage: per-tool table, MCP servers, per-project mix, stacked calls per day
+  const { tools } = m;
+  const toolPalette = ['blue', 'violet', 'emerald', 'amber', 'rose'];
+  const topTools = tools.tools.slice(0, toolPalette.length).map(t => t.name);
+  const toolColor = name => toolPalette[topTools.indexOf(name)] || 'gray';
+  const toolLabel = t => t.server ? `${escapeHtml(t.name.split('__').slice(2).join('__'))} <span class="text-xs text-gray-600">mcp:${escapeHtml(t.server)}</span>` : escapeHtml(t.name);
+  const fmtRate = r => r === null ? '—' : (r * 100).toFixed(1) + '%';
+  const maxToolCalls = Math.max(...tools.tools.map(t => t.calls), 1);
+  const toolRows = tools.tools.slice(0, 25).map(t => `<tr class="border-b border-white/5">
+          <td class="py-2 pr-4 text-sm font-mono whitespace-nowrap"><span class="inline-block w-2 h-2 rounded-full bg-${toolColor(t.name)}-500 mr-2"></span>${toolLabel(t)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right">${t.calls.toLocaleString()}</td>
+          <td class="py-2 px-4 w-1/4">
+            <div class="h-1.5 bg-surface-3 rounded-full overflow-hidden"><div class="h-full bg-blue-500 rounded-full" style="width: ${(t.calls / maxToolCalls * 100).toFixed(1)}%"></div></div>
+          </td>
+          <td class="py-2 px-4 text-sm font-mono text-right ${t.errors ? 'text-amber-400' : 'text-gray-600'}">${fmtRate(t.errorRate)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right ${t.denied ? 'text-rose-400' : 'text-gray-600'}">${fmtRate(t.deniedRate)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right text-gray-400">${t.sessions.toLocaleString()}</td>
+          <td class="py-2 pl-4 text-xs font-mono text-right whitespace-nowrap">${t.change === null ? '<span class="text-gray-600">—</span>'
+            : `<span class="${t.change >= 0 ? 'text-emerald-400' : 'text-rose-400'}">${t.change >= 0 ? '▲' : '▼'} ${Math.abs(t.change * 100).toFixed(0)}%</span>`}</td>
+        </tr>`).join('\n');
+  const serverRows = tools.servers.map(s => `<div class="flex items-center justify-between p-3 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-sm font-mono text-violet-400">${escapeHtml(s.server)} <span class="text-xs text-gray-600">${s.tools} tool${s.tools === 1 ? '' : 's'}</span></div>
+          <div class="text-xs font-mono text-gray-400">${s.calls.toLocaleString()} calls &middot; ${fmtRate(s.errorRate)} errors &middot; ${fmtRate(s.deniedRate)} denied</div>
+        </div>`).join('\n');
+  const toolProjectRows = tools.projects.slice(0, 15).map(p => {
+    const mix = Object.entries(p.tools).sort((a, b) => b[1] - a[1]);
+    return `<tr class="border-b border-white/5">
+          <td class="py-2 pr-4 text-sm text-violet-400 font-mono truncate max-w-[260px]" title="${escapeHtml(p.projectName)}">${escapeHtml(p.projectName.split('/').slice(-2).join('/'))}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right">${p.calls.toLocaleString()}</td>
+          <td class="py-2 px-4">
+            <div class="flex h-2 rounded-full overflow-hidden bg-surface-3">${mix.map(([name, n]) => `<div class="h-full bg-${toolColor(name)}-500" style="width: ${(n / p.calls * 100).toFixed(1)}%" title="${escapeHtml(name)}: ${n}"></div>`).join('')}</div>
+            <div class="text-xs text-gray-600 font-mono mt-1 truncate max-w-[320px]">${mix.slice(0, 3).map(([name, n]) => `${escapeHtml(name)} ${n}`).join(' &middot; ')}</div>
+          </td>
+          <td class="py-2 px-4 text-sm font-mono text-right ${p.errors ? 'text-amber-400' : 'text-gray-600'}">${fmtRate(p.errorRate)}</td>
+          <td class="py-2 pl-4 text-sm font-mono text-right ${p.denied ? 'text-rose-400' : 'text-gray-600'}">${fmtRate(p.deniedRate)}</td>
+        </tr>`;
+  }).join('\n');
+  const maxDayCalls = Math.max(...tools.daily.map(d => d.calls), 1);
+  const toolDayBars = tools.daily.map(d => {
+    const label = new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    const other = Object.entries(d.tools).filter(([name]) => !topTools.includes(name)).reduce((s, [, n]) => s + n, 0);
+    const bands = [...topTools.map(name => [name, d.tools[name] || 0]), ['other', other]].filter(([, n]) => n);
+    return `<div class="bar-container flex-1 flex flex-col justify-end h-full relative group cursor-pointer">
+      <div class="tooltip absolute bottom-full left-1/2 -translate-x-1/2 mb-2 bg-surface-2 border border-white/10 px-3 py-2 rounded-lg text-xs whitespace-nowrap z-20 shadow-xl">
+        <div class="font-medium text-white">${label} &middot; ${d.calls.toLocaleString()} calls</div>
+        ${bands.map(([name, n]) => `<div class="text-gray-400 font-mono">${escapeHtml(name)}: ${n}</div>`).join('')}
+        <div class="text-gray-500 font-mono">${d.errors} errors &middot; ${d.denied} denied</div>
+      </div>
+      <div class="w-full flex flex-col-reverse rounded-t overflow-hidden" style="height: ${(d.calls / maxDayCalls * 100).toFixed(1)}%; min-height: 2px;">
+        ${bands.map(([name, n]) => `<div class="w-full bg-${toolColor(name)}-500" style="height: ${(n / d.calls * 100).toFixed(1)}%"></div>`).join('')}
+      </div>
+    </div>`;
+  }).join('\n');
+
+  const shortDate = iso => iso ? new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '—';
+  // Cache efficiency: per-model rows, daily hit ratio strip, worst-reuse sessions
+  const { cache } = m;
+  const fmtReuse = r => r === null ? '—' : (r >= 10 ? Math.round(r) : r.toFixed(1)) + '×';
+  const fmtRatio = r => r === null ? '—' : (r * 100).toFixed(1) + '%';
+  const cacheModelRows = cache.models.filter(c => c.read || c.write).map(c => `<tr class="border-b border-white/5">
+          <td class="py-2 pr-4 text-sm"><span class="inline-block w-2 h-2 rounded-full bg-${modelColor(c.id).bg}-500 mr-2"></span>${modelShortName(c.id)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right text-violet-400">${fmt(c.read)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right text-amber-400">${fmt(c.write)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right">${fmtRatio(c.hitRatio)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right">${fmtReuse(c.reuse)}</td>
+          <td class="py-2 pl-4 text-sm font-mono text-right text-emerald-400">${modelPricing(m.context, c.id) ? fmtMoney(c.saved) : 'unpriced'}</td>
+        </tr>`).join('\n');
+  const cacheDayBars = cache.daily.map(d => {
+    const label = new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `<div class="bar-container flex-1 flex flex-col justify-end h-full relative group cursor-pointer">
+      <div class="tooltip absolute bottom-full left-1/2 -translate-x-1/2 mb-2 bg-surface-2 border border-white/10 px-3 py-2 rounded-lg text-xs whitespace-nowrap z-20 shadow-xl">
+        <div class="font-medium text-white">${label} &middot; ${fmtRatio(d.hitRatio)} hit</div>
+        <div class="text-gray-400 font-mono">read ${fmt(d.read)} &middot; written ${fmt(d.write)}</div>
+        <div class="text-emerald-400 font-mono">saved ${fmtMoney(d.saved)}</div>
+      </div>
+      <div class="w-full rounded-t bg-gradient-to-t from-violet-600 to-violet-400" style="height: ${Math.max((d.hitRatio || 0) * 100, 1).toFixed(1)}%; min-height: 2px;"></div>
+    </div>`;
+  }).join('\n');
+  const worstRows = cache.worstSessions.map(s => `<tr class="border-b border-white/5">
+          <td class="py-2 pr-4 text-xs text-gray-500 font-mono whitespace-nowrap">${shortDate(s.start)}</td>
+          <td class="py-2 px-4 text-xs text-violet-400 font-mono truncate max-w-[260px]">${escapeHtml((s.projectName || '').split('/').slice(-2).join('/'))}</td>
+          <td class="py-2 px-4 text-xs text-gray-600 font-mono truncate max-w-[150px]">${escapeHtml(s.sessionId)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right text-amber-400">${fmt(s.write)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right text-violet-400">${fmt(s.read)}</td>
+          <td class="py-2 px-4 text-sm font-mono text-right">${fmtReuse(s.reuse)}</td>
+          <td class="py-2 pl-4 text-sm font-mono text-right ${s.saved < 0 ? 'text-rose-400' : 'text-emerald-400'}">${fmtMoney(s.saved)}</td>
+        </tr>`).join('\n');
+
+  const budgetRows = (m.budgets?.results || []).map(b => {
+    const color = { ok: 'emerald', warn: 'amber', breach: 'red' }[b.status];
+    const usedPct = Math.min((b.used / b.limit) * 100, 100);
+    const projectedPct = Math.min((b.projected / b.limit) * 100, 100);
+    return `<div>
+          <div class="flex justify-between items-center mb-2">
+            <span class="text-sm text-gray-400">${escapeHtml(budgetLabel(b))}</span>
+            <span class="font-mono text-sm text-${color}-400">${budgetValue(b, b.used)} <span class="text-gray-600">/ ${budgetValue(b, b.limit)} &middot; proj. ${budgetValue(b, b.projected)}</span></span>
+          </div>
+          <div class="relative h-2 bg-surface-3 rounded-full overflow-hidden">
+            <div class="absolute inset-y-0 left-0 bg-${color}-500/30 rounded-full" style="width: ${projectedPct.toFixed(1)}%"></div>
+            <div class="absolute inset-y-0 left-0 bg-${color}-500 rounded-full" style="width: ${usedPct.toFixed(1)}%"></div>
+          </div>
+        </div>`;
+  }).join('\n');
+  const budgetCard = m.budgets ? `<!-- Budgets -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <div class="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+        <h2 class="text-lg font-semibold">Budgets</h2>
+        <span class="text-sm text-gray-400">Month to date <span class="font-mono text-white">${fmtMoney(m.budgets.monthEnd.cost)}</span> &middot; projected month-end <span class="font-mono text-accent">${fmtMoney(m.budgets.monthEnd.projected)}</span></span>
+      </div>
+      <div class="grid md:grid-cols-2 gap-x-8 gap-y-5">
+        ${budgetRows || '<p class="text-sm text-gray-600">No budgets configured — add "budgets" to usage-report.config.json.</p>'}
+      </div>
+    </div>` : '';
+
+  const pv = m.planValue;
+  const billingRows = [...pv.months].reverse().slice(0, 6).map(b => {
+    const range = `${shortDate(b.start).replace(/, \d{4}$/, '')} – ${shortDate(b.end).replace(/, \d{4}$/, '')}`;
+    const behind = pv.monthly && b.cumulativeCost < b.cumulativePaid;
+    return `<div class="flex items-center gap-3 text-xs">
+            <span class="flex-1 text-gray-500 font-mono">${range}</span>
+            <span class="font-mono text-gray-300">${fmtMoney(b.cost)}</span>
+            ${pv.monthly ? `<span class="w-14 text-right font-mono ${behind ? 'text-red-400' : 'text-accent'}" title="cumulative ${fmtMoney(b.cumulativeCost)} vs ${fmtMoney(b.cumulativePaid)} paid">${fmtMultiplier(b.multiplier)}</span>` : ''}
+          </div>`;
+  }).join('\n');
+
+  const hourBars = Array.from({ length: 24 }, (_, h) => {
+    const count = hourCounts[h] || 0;
+    const height = Math.max((count / maxHourCount) * 100, 1);
+    return `<div class="flex flex-col items-center gap-1 flex-1">
+      <div class="w-full bg-surface-3 rounded-t relative" style="height: 60px;">
+        <div class="absolute bottom-0 w-full bg-gradient-to-t from-violet-600 to-violet-400 rounded-t" style="height: ${height.toFixed(1)}%"></div>
+      </div>
+      <span class="text-[10px] text-gray-600">${h}</span>
+    </div>`;
+  }).join('\n');
+
+  // Rhythm: calendar heatmap (messages or tokens), weekday × hour matrix
+  const { rhythm } = m;
+  const heatmap = key => {
+    const values = rhythm.days.map(d => d[key]).filter(v => v > 0).sort((a, b) => a - b);
+    const quantile = q => values[Math.floor((values.length - 1) * q)] || 0;
+    const steps = [quantile(0.25), quantile(0.5), quantile(0.75)];
+    const byDate = new Map(rhythm.days.map(d => [d.date, d]));
+    const last = rhythm.days[rhythm.days.length - 1]?.date;
+    if (!last) return '<p class="text-xs text-gray-600">No daily activity recorded.</p>';
+    // Up to a year, in Monday-first week columns
+    const first = maxDate(rhythm.days[0].date, addDays(last, -364));
+    const start = addDays(first, -((new Date(first + 'T00:00:00Z').getUTCDay() + 6) % 7));
+    const columns = [];
+    for (let week = start; week <= last; week = addDays(week, 7)) {
+      const cells = Array.from({ length: 7 }, (_, i) => {
+        const date = addDays(week, i);
+        if (date < first || date > last) return '<div class="w-3 h-3"></div>';
+        const v = byDate.get(date)?.[key] || 0;
+        const label = `${date}: ${key === 'tokens' ? fmt(v) : v.toLocaleString()} ${key}`;
+        if (!v) return `<div class="w-3 h-3 rounded-sm bg-surface-3" title="${label}"></div>`;
+        const opacity = [0.3, 0.5, 0.75, 1][steps.filter(t => v > t).length];
+        return `<div class="w-3 h-3 rounded-sm bg-emerald-500" style="opacity: ${opacity}" title="${label}"></div>`;
+      }).join('');
+      const month = monthOf(week < first ? first : week).since;
+      const prev = columns.length ? monthOf(addDays(week, -7) < first ? first : addDays(week, -7)).since : null;
+      const monthLabel = month !== prev ? new Date(month + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' }) : '';
+      columns.push(`<div class="flex flex-col gap-[3px]"><div class="h-4 text-[10px] text-gray-600 whitespace-nowrap">${monthLabel}</div>${cells}</div>`);
+    }
+    return `<div class="flex gap-[3px]">
+          <div class="flex flex-col gap-[3px] pr-1 text-[10px] text-gray-600"><div class="h-4"></div>${rhythm.weekdays.map((d, i) => `<div class="h-3 text-[9px] leading-none">${i % 2 ? '' : d}</div>`).join('')}</div>
+          ${columns.join('\n          ')}
+        </div>`;
+  };
+  const maxCell = Math.max(...rhythm.matrix.sessions.flat(), 1);
+  const matrixRows = rhythm.weekdays.map((day, w) => `<div class="flex items-center gap-[2px]">
+          <div class="w-10 text-[10px] text-gray-600">${day}</div>
+          ${rhythm.matrix.sessions[w].map((n, h) => {
+            const title = `${day} ${String(h).padStart(2, '0')}:00 · ${n} session${n === 1 ? '' : 's'} · ${rhythm.matrix.messages[w][h].toLocaleString()} messages`;
+            return n
+              ? `<div class="flex-1 h-5 rounded-sm bg-violet-500" style="opacity: ${Math.max(n / maxCell, 0.12).toFixed(2)}" title="${title}"></div>`
+              : `<div class="flex-1 h-5 rounded-sm bg-surface-3" title="${title}"></div>`;
+          }).join('')}
+        </div>`).join('\n        ');
+  const fmtDuration = ms => {
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  };
+  const record = rhythm.longestSession;
+
+  const projectRows = projects.map(p => {
+    const shown = p.sessionList.slice(0, 50);
+    const sessionItems = shown.map(s => `<li class="flex items-center gap-3 py-1.5 text-xs">
+            <span class="w-28 text-gray-500 font-mono whitespace-nowrap">${shortDate(s.created)}</span>
+            <span class="w-24 text-violet-400 font-mono truncate">${escapeHtml(s.gitBranch || '')}</span>
+            <span class="flex-1 text-gray-400 truncate">${escapeHtml(s.summary || '')}</span>
+            <span class="w-16 text-gray-600 font-mono text-right">${(s.messageCount || 0).toLocaleString()}</span>
+            <span class="w-16 text-gray-600 font-mono text-right">${s.usage ? fmt(s.usage.tokens) : '—'}</span>
+            <span class="w-16 text-amber-400/80 font-mono text-right">${s.usage ? fmtMoney(s.usage.cost) : '—'}</span>
+          </li>`).join('\n');
+    const more = p.sessionList.length > shown.length ? `<li class="pt-2 text-xs text-gray-600">+ ${p.sessionList.length - shown.length} more sessions</li>` : '';
+    return `<tbody data-name="${escapeHtml(p.name)}" data-sessions="${p.sessions}" data-messages="${p.messages}" data-first="${p.firstActivity || ''}" data-last="${p.lastActivity || ''}" data-tokens="${p.tokens}" data-cost="${p.cost}">
+        <tr class="project-row border-b border-white/5 hover:bg-white/[0.02] cursor-pointer">
+          <td class="py-3 px-4 text-sm text-violet-400 font-mono truncate max-w-[260px]">${escapeHtml(p.name.split('/').slice(-2).join('/'))}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right">${p.sessions.toLocaleString()}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right">${p.messages.toLocaleString()}</td>
+          <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap">${shortDate(p.firstActivity)}</td>
+          <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap">${shortDate(p.lastActivity)}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right text-blue-400">${fmt(p.tokens)}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right text-accent">${fmtMoney(p.cost)}</td>
+        </tr>
+        <tr class="hidden">
+          <td colspan="7" class="px-4 pb-4 bg-surface-3/30">
+            <ul class="divide-y divide-white/5">${sessionItems}${more}</ul>
+          </td>
+        </tr>
+      </tbody>`;
+  }).join('\n');
+
+  const firstDate = m.firstDate ? new Date(m.firstDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A';
+  const title = m.period ? `Claude Usage Report · ${m.period}` : 'Claude Usage Report';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  <script>
+    tailwind.config = {
+      theme: {
+        extend: {
+          colors: {
+            primary: '#1E40AF',
+            secondary: '#3B82F6',
+            accent: '#F59E0B',
+            surface: '#0a0a0f',
+            'surface-2': '#111118',
+            'surface-3': '#1a1a24',
+          },
+          fontFamily: {
+            sans: ['Inter', 'system-ui', 'sans-serif'],
+            mono: ['JetBrains Mono', 'Fira Code', 'monospace'],
+          }
+        }
+      }
+    }
+  </script>
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500;600&display=swap');
+    body { font-family: 'Inter', system-ui, sans-serif; background: #000; }
+    .font-mono { font-family: 'JetBrains Mono', monospace; }
+    .oled-bg { background: radial-gradient(ellipse at top, #0d1117 0%, #000 50%); }
+    .glass { background: rgba(17, 17, 24, 0.8); backdrop-filter: blur(20px); border: 1px solid rgba(255,255,255,0.06); }
+    .glass-highlight { background: linear-gradient(135deg, rgba(30, 64, 175, 0.15) 0%, rgba(59, 130, 246, 0.08) 100%); border: 1px solid rgba(59, 130, 246, 0.2); }
+    .glow-blue { box-shadow: 0 0 60px rgba(59, 130, 246, 0.15); }
+    .glow-green { box-shadow: 0 0 60px rgba(16, 185, 129, 0.15); }
+    .text-glow-blue { text-shadow: 0 0 20px rgba(59, 130, 246, 0.5); }
+    .text-glow-amber { text-shadow: 0 0 20px rgba(245, 158, 11, 0.5); }
+    .stat-card { transition: all 0.2s ease; }
+    .stat-card:hover { transform: translateY(-2px); border-color: rgba(59, 130, 246, 0.3); }
+    .bar { transition: height 0.5s cubic-bezier(0.4, 0, 0.2, 1); }
+    .tooltip { opacity: 0; transition: opacity 0.15s ease; pointer-events: none; }
+    .bar-container:hover .tooltip { opacity: 1; }
+    .calendar-toggle[aria-pressed="true"] { background: rgba(255,255,255,0.08); color: #fff; }
+    ::-webkit-scrollbar { width: 6px; height: 6px; }
+    ::-webkit-scrollbar-track { background: transparent; }
+    ::-webkit-scrollbar-thumb { background: #333; border-radius: 3px; }
+  </style>
+</head>
+<body class="oled-bg min-h-screen text-white antialiased">
+  <div class="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 sm:py-12">
+
+    <!-- Header -->
+    <header class="text-center mb-12">
+      <h1 class="text-3xl sm:text-4xl font-semibold tracking-tight mb-2">${title}</h1>
+      <p class="text-gray-500 text-sm font-mono">${firstDate} — ${m.lastDate || 'N/A'} &middot; Generated ${generatedDisplay}</p>
+      <div class="mt-3 space-x-4">
+        ${m.period ? '<a href="../index.html" class="text-sm text-gray-500 hover:text-gray-300 transition-colors">← All periods</a>' : ''}
+        <a href="data.json" class="text-sm text-gray-500 hover:text-gray-300 transition-colors">Raw JSON</a>
+      </div>
+    </header>
+
+    <!-- Hero Stats -->
+    <div class="grid grid-cols-2 lg:grid-cols-5 gap-3 sm:gap-4 mb-8">
+      <div class="glass stat-card rounded-2xl p-5">
+        <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Total Tokens</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-glow-blue text-secondary">${fmt(totalTokens)}</div>
+        ${trendLine('tokens')}
+      </div>
+      <div class="glass stat-card rounded-2xl p-5">
+        <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Messages</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-emerald-400">${totalMessages.toLocaleString()}</div>
+        <div class="text-xs text-gray-600 mt-1">~${avgMessagesPerDay}/day</div>
+        ${trendLine('messages')}
+      </div>
+      <div class="glass stat-card rounded-2xl p-5">
+        <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Sessions</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-violet-400">${totalSessions.toLocaleString()}</div>
+        ${trendLine('sessions')}
+      </div>
+      <div class="glass stat-card rounded-2xl p-5">
+        <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Tool Calls</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-amber-400">${totalToolCalls.toLocaleString()}</div>
+        ${trendLine('toolCalls')}
+      </div>
+      <div class="glass stat-card rounded-2xl p-5">
+        <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">API Est.</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-glow-amber text-accent">${fmtMoney(costEstimate)}</div>
+        <div class="text-xs text-gray-600 mt-1">${m.unpriced.length ? `excl. unpriced ${m.unpriced.map(modelShortName).join(', ')}` : 'if paid per-token'}</div>
+        ${trendLine('cost')}
+      </div>
+    </div>
+
+    ${budgetCard}
+
+    <!-- Main Grid -->
+    <div class="grid lg:grid-cols-2 gap-6 mb-8">
+
+      <!-- Token Breakdown -->
+      <div class="glass rounded-2xl p-6">
+        <h2 class="text-lg font-semibold mb-6">Token Breakdown</h2>
+        <div class="space-y-5">
+          <div>
+            <div class="flex justify-between items-center mb-2">
+              <span class="text-sm text-gray-400">Input (new)</span>
+              <span class="font-mono text-sm text-blue-400">${fmt(totalInput)}</span>
+            </div>
+            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
+              <div class="h-full bg-gradient-to-r from-blue-600 to-blue-400 rounded-full" style="width: ${pct(totalInput, totalTokens)}%"></div>
+            </div>
+          </div>
+          <div>
+            <div class="flex justify-between items-center mb-2">
+              <span class="text-sm text-gray-400">Output</span>
+              <span class="font-mono text-sm text-emerald-400">${fmt(totalOutput)}</span>
+            </div>
+            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
+              <div class="h-full bg-gradient-to-r from-emerald-600 to-emerald-400 rounded-full" style="width: ${pct(totalOutput, totalTokens)}%"></div>
+            </div>
+          </div>
+          <div>
+            <div class="flex justify-between items-center mb-2">
+              <span class="text-sm text-gray-400">Cache Read</span>
+              <span class="font-mono text-sm text-violet-400">${fmt(totalCacheRead)}</span>
+            </div>
+            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
+              <div class="h-full bg-gradient-to-r from-violet-600 to-violet-400 rounded-full" style="width: ${pct(totalCacheRead, totalTokens)}%"></div>
+            </div>
+          </div>
+          <div>
+            <div class="flex justify-between items-center mb-2">
+              <span class="text-sm text-gray-400">Cache Creation</span>
+              <span class="font-mono text-sm text-amber-400">${fmt(totalCacheCreate)}</span>
+            </div>
+            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
+              <div class="h-full bg-gradient-to-r from-amber-600 to-amber-400 rounded-full" style="width: ${pct(totalCacheCreate, totalTokens)}%"></div>
+            </div>
+          </div>
+        </div>
+        <div class="mt-6 p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="flex items-center justify-between">
+            <div>
+              <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">New tokens (input + output)</div>
+              <div class="text-2xl font-bold font-mono text-white">${fmt(totalInput + totalOutput)}</div>
+            </div>
+            <div class="text-right text-xs text-gray-600">
+              <div>Input ${fmt(totalInput)}</div>
+              <div>+ Output ${fmt(totalOutput)}</div>
+            </div>
+          </div>
+        </div>
+        <div class="mt-3 p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="flex items-center justify-between">
+            <div class="text-xs text-gray-500 uppercase tracking-wider">Cache hit ratio</div>
+            <div class="text-lg font-bold font-mono text-violet-400">${pct(totalCacheRead, totalCacheRead + totalInput + totalCacheCreate)}%</div>
+          </div>
+          <div class="text-xs text-gray-600 mt-1">Cache reads as a share of all input tokens</div>
+          ${trendLine('cacheHitRatio')}
+        </div>
+      </div>
+
+      <!-- Model Distribution -->
+      <div class="glass rounded-2xl p-6">
+        <h2 class="text-lg font-semibold mb-6">Model Distribution</h2>
+        <div class="space-y-4">
+          ${modelRows}
+        </div>
+      </div>
+    </div>
+
+    <!-- Daily Usage Chart -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <h2 class="text-lg font-semibold mb-6">Daily Activity <span class="ml-2 text-xs text-gray-600 font-normal">(messages per day, line = 7-day average)</span></h2>
+      <div class="flex items-end gap-[3px] h-48 overflow-x-auto pb-4">
+        ${dailyBars}
+      </div>
+      <div class="flex justify-between text-xs text-gray-600 mt-2">
+        <span>${daily.length > 0 ? daily[0].date : ''}</span>
+        <span>${daily.length > 0 ? daily[daily.length - 1].date : ''}</span>
+      </div>
+    </div>
+
+    <!-- Rhythm -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <div class="flex flex-wrap items-center justify-between gap-3 mb-6">
+        <h2 class="text-lg font-semibold">Rhythm</h2>
+        <div class="flex text-xs border border-white/10 rounded-lg overflow-hidden">
+          <button type="button" class="calendar-toggle px-3 py-1 text-gray-500" data-calendar-show="messages" aria-pressed="true">Messages</button>
+          <button type="button" class="calendar-toggle px-3 py-1 text-gray-500" data-calendar-show="tokens" aria-pressed="false">Tokens</button>
+        </div>
+      </div>
+      <div class="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 mb-6">
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Current streak</div>
+          <div class="text-2xl font-bold font-mono text-emerald-400">${rhythm.streaks.current} day${rhythm.streaks.current === 1 ? '' : 's'}</div>
+          <div class="text-xs text-gray-600 mt-1">up to ${rhythm.streaks.currentUntil}</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Longest streak</div>
+          <div class="text-2xl font-bold font-mono text-blue-400">${rhythm.streaks.longest} day${rhythm.streaks.longest === 1 ? '' : 's'}</div>
+          <div class="text-xs text-gray-600 mt-1">${rhythm.streaks.longest ? `${rhythm.streaks.longestSince} – ${rhythm.streaks.longestUntil}` : '—'}</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Off-hours</div>
+          <div class="text-2xl font-bold font-mono text-amber-400">${rhythm.offHoursShare === null ? '—' : (rhythm.offHoursShare * 100).toFixed(0) + '%'}</div>
+          <div class="text-xs text-gray-600 mt-1">of sessions start on weekends or outside 09–18</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Longest session</div>
+          <div class="text-2xl font-bold font-mono text-violet-400">${record ? `${record.messageCount.toLocaleString()} msgs` : '—'}</div>
+          <div class="text-xs text-gray-600 mt-1 truncate" title="${record ? escapeHtml(record.projectName || record.sessionId) : ''}">${record ? `${fmtDuration(record.duration)} &middot; ${shortDate(record.timestamp)}${record.projectName ? ` &middot; ${escapeHtml(record.projectName.split('/').slice(-2).join('/'))}` : ''}` : 'not recorded'}</div>
+        </div>
+      </div>
+      <div class="overflow-x-auto pb-2 mb-6">
+        <div data-calendar="messages">${heatmap('messages')}</div>
+        <div data-calendar="tokens" class="hidden">${heatmap('tokens')}</div>
+      </div>
+      <h3 class="text-sm text-gray-400 mb-3">Sessions by weekday and hour <span class="text-xs text-gray-600">(${escapeHtml(rhythm.timeZone)})</span></h3>
+      <div class="space-y-[2px]">
+        <div class="flex gap-[2px] text-[10px] text-gray-600">
+          <div class="w-10"></div>
+          ${Array.from({ length: 24 }, (_, h) => `<div class="flex-1">${h % 6 ? '' : h}</div>`).join('')}
+        </div>
+        ${matrixRows}
+      </div>
+    </div>
+
+    <!-- Daily Cost by Model -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <div class="flex flex-wrap items-baseline justify-between gap-2 mb-6">
+        <h2 class="text-lg font-semibold">Daily Cost by Model <span class="ml-2 text-xs text-gray-600 font-normal">(output tokens per model, line = est. spend)</span></h2>
+        <span class="text-xs text-gray-500">Peak ${fmtMoney(maxDailyCost)}/day</span>
+      </div>
+      <div class="relative h-48">
+        <div class="flex items-end gap-[2px] h-full">
+          ${dailyModelBars}
+        </div>
+        <svg class="absolute inset-0 w-full h-full pointer-events-none" viewBox="0 0 ${Math.max(dailyModels.length, 1)} 100" preserveAspectRatio="none">
+          <polyline points="${spendPoints}" fill="none" stroke="#F59E0B" stroke-width="2" vector-effect="non-scaling-stroke" stroke-linejoin="round" />
+        </svg>
+      </div>
+      <div class="flex justify-between text-xs text-gray-600 mt-2">
+        <span>${dailyModels.length > 0 ? dailyModels[0].date : ''}</span>
+        <span>${dailyModels.length > 0 ? dailyModels[dailyModels.length - 1].date : ''}</span>
+      </div>
+      <div class="flex flex-wrap gap-4 text-xs text-gray-400 mt-4">
+        ${modelLegend}
+        <span class="flex items-center gap-1.5"><span class="w-3 h-0.5 bg-accent"></span>est. spend</span>
+      </div>
+    </div>
+
+    <!-- Cache Efficiency -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <h2 class="text-lg font-semibold mb-6">Cache Efficiency <span class="ml-2 text-xs text-gray-600 font-normal">(savings vs paying the input rate for every cached token)</span></h2>
+      <div class="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 mb-6">
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Hit ratio</div>
+          <div class="text-2xl font-bold font-mono text-violet-400">${fmtRatio(cache.hitRatio)}</div>
+          <div class="text-xs text-gray-600 mt-1">cache reads / all input</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Reuse</div>
+          <div class="text-2xl font-bold font-mono text-blue-400">${fmtReuse(cache.reuse)}</div>
+          <div class="text-xs text-gray-600 mt-1">tokens read per token written</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Saved</div>
+          <div class="text-2xl font-bold font-mono text-emerald-400">${fmtMoney(cache.saved)}</div>
+          <div class="text-xs text-gray-600 mt-1">${fmtMoney(cache.readSavings)} on reads &minus; write premium</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Write premium</div>
+          <div class="text-2xl font-bold font-mono text-amber-400">${fmtMoney(cache.writePremium)}</div>
+          <div class="text-xs text-gray-600 mt-1">${cache.writePremium ? `paid back ${fmtReuse(cache.readSavings / cache.writePremium)} by reads` : 'no cache writes'}</div>
+        </div>
+      </div>
+      <div class="overflow-x-auto mb-6">
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+            <tr>
+              <th class="py-2 pr-4">Model</th>
+              <th class="py-2 px-4 text-right">Read</th>
+              <th class="py-2 px-4 text-right">Written</th>
+              <th class="py-2 px-4 text-right">Hit</th>
+              <th class="py-2 px-4 text-right">Reuse</th>
+              <th class="py-2 pl-4 text-right">Saved</th>
+            </tr>
+          </thead>
+          <tbody>${cacheModelRows}</tbody>
+        </table>
+      </div>
+      ${cache.daily.length ? `<h3 class="text-sm text-gray-400 mb-3">Hit ratio per day</h3>
+      <div class="flex items-end gap-[2px] h-16 mb-6">
+        ${cacheDayBars}
+      </div>` : ''}
+      ${worstRows ? `<h3 class="text-sm text-gray-400 mb-3">Worst cache reuse <span class="text-xs text-gray-600">(sessions reading back the least of what they wrote)</span></h3>
+      <div class="overflow-x-auto">
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+            <tr>
+              <th class="py-2 pr-4">Started</th>
+              <th class="py-2 px-4">Project</th>
+              <th class="py-2 px-4">Session</th>
+              <th class="py-2 px-4 text-right">Written</th>
+              <th class="py-2 px-4 text-right">Read</th>
+              <th class="py-2 px-4 text-right">Reuse</th>
+              <th class="py-2 pl-4 text-right">Saved</th>
+            </tr>
+          </thead>
+          <tbody>${worstRows}</tbody>
+        </table>
+      </div>` : '<p class="text-xs text-gray-600">Per-session cache figures need session transcripts.</p>'}
+    </div>
+
+    <!-- Tools -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <h2 class="text-lg font-semibold mb-6">Tools <span class="ml-2 text-xs text-gray-600 font-normal">(tool calls in session transcripts)</span></h2>
+      ${tools.calls ? `<div class="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 mb-6">
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Calls</div>
+          <div class="text-2xl font-bold font-mono text-blue-400">${fmt(tools.calls)}</div>
+          <div class="text-xs text-gray-600 mt-1">${tools.tools.length} tools${tools.servers.length ? `, ${tools.servers.length} MCP server${tools.servers.length === 1 ? '' : 's'}` : ''}</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Most used</div>
+          <div class="text-2xl font-bold font-mono text-violet-400 truncate">${escapeHtml(tools.tools[0].name)}</div>
+          <div class="text-xs text-gray-600 mt-1">${pct(tools.tools[0].calls, tools.calls)}% of calls</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Errors</div>
+          <div class="text-2xl font-bold font-mono text-amber-400">${fmtRate(tools.errorRate)}</div>
+          <div class="text-xs text-gray-600 mt-1">${tools.errors.toLocaleString()} failed</div>
+        </div>
+        <div class="p-4 bg-surface-3/50 rounded-xl border border-white/5">
+          <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">Denied</div>
+          <div class="text-2xl font-bold font-mono text-rose-400">${fmtRate(tools.deniedRate)}</div>
+          <div class="text-xs text-gray-600 mt-1">${tools.denied.toLocaleString()} rejected by a permission prompt</div>
+        </div>
+      </div>
+      <div class="overflow-x-auto mb-6">
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+            <tr>
+              <th class="py-2 pr-4">Tool</th>
+              <th class="py-2 px-4 text-right">Calls</th>
+              <th class="py-2 px-4"></th>
+              <th class="py-2 px-4 text-right">Errors</th>
+              <th class="py-2 px-4 text-right">Denied</th>
+              <th class="py-2 px-4 text-right">Sessions</th>
+              <th class="py-2 pl-4 text-right">7d</th>
+            </tr>
+          </thead>
+          <tbody>${toolRows}</tbody>
+        </table>
+      </div>
+      ${serverRows ? `<h3 class="text-sm text-gray-400 mb-3">MCP servers</h3>
+      <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+        ${serverRows}
+      </div>` : ''}
+      <h3 class="text-sm text-gray-400 mb-3">Calls per day</h3>
+      <div class="flex items-end gap-[2px] h-32 mb-3">
+        ${toolDayBars}
+      </div>
+      <div class="flex flex-wrap gap-4 text-xs text-gray-500 mb-6">
+        ${[...topTools, ...(tools.tools.length > topTools.length ? ['other'] : [])].map(name => `<span><span class="inline-block w-2 h-2 rounded-full bg-${toolColor(name)}-500 mr-1"></span>${escapeHtml(name)}</span>`).join('')}
+      </div>
+      <h3 class="text-sm text-gray-400 mb-3">Tools per project</h3>
+      <div class="overflow-x-auto">
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+            <tr>
+              <th class="py-2 pr-4">Project</th>
+              <th class="py-2 px-4 text-right">Calls</th>
+              <th class="py-2 px-4">Mix</th>
+              <th class="py-2 px-4 text-right">Errors</th>
+              <th class="py-2 pl-4 text-right">Denied</th>
+            </tr>
+          </thead>
+          <tbody>${toolProjectRows}</tbody>
+        </table>
+      </div>` : '<p class="text-xs text-gray-600">Tool analytics need session transcripts.</p>'}
+    </div>
+
+    <!-- Projects -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <h2 class="text-lg font-semibold mb-6">Projects <span class="ml-2 text-xs text-gray-600 font-normal">(click a column to sort, a row for its sessions)</span></h2>
+      <div class="overflow-x-auto">
+        <table class="w-full text-left" id="projects-table">
+          <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+            <tr>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300" data-sort="name">Project</th>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300 text-right" data-sort="sessions">Sessions</th>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300 text-right" data-sort="messages">Msgs</th>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300" data-sort="first">First</th>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300" data-sort="last">Last</th>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300 text-right" data-sort="tokens">Tokens</th>
+              <th class="py-3 px-4 cursor-pointer hover:text-gray-300 text-right" data-sort="cost">API Est.</th>
+            </tr>
+          </thead>
+          ${projectRows}
+        </table>
+      </div>
+    </div>
+
+    <!-- Bottom Grid -->
+    <div class="grid lg:grid-cols-3 gap-6 mb-8">
+
+      <!-- Top Days -->
+      <div class="glass rounded-2xl p-6">
+        <h2 class="text-lg font-semibold mb-4">Top Days</h2>
+        <div class="space-y-2">
+          ${topDayRows}
+        </div>
+      </div>
+
+      <!-- Hour Distribution -->
+      <div class="glass rounded-2xl p-6">
+        <h2 class="text-lg font-semibold mb-4">Activity by Hour</h2>
+        <div class="flex gap-[2px] items-end">
+          ${hourBars}
+        </div>
+      </div>
+
+      <!-- Value Analysis -->
+      <div class="glass-highlight glow-green rounded-2xl p-6">
+        <h2 class="text-lg font-semibold mb-4">Value Analysis</h2>
+        <div class="space-y-4">
+          <div class="flex justify-between items-center">
+            <span class="text-sm text-gray-400">API Cost (est.)</span>
+            <span class="text-xl font-bold font-mono text-red-400">${fmtMoney(costEstimate)}</span>
+          </div>
+          <div class="flex justify-between items-center">
+            <span class="text-sm text-gray-400">${pv.label} Plan</span>
+            <span class="text-xl font-bold font-mono text-emerald-400">${pv.monthly ? `${fmtMoney(pv.monthly)}<span class="text-sm text-gray-500">/mo</span>` : 'per-token'}</span>
+          </div>
+          <div class="h-px bg-white/10"></div>
+          ${pv.monthly ? `<div class="flex justify-between items-center">
+            <span class="text-sm text-gray-400">Value Multiplier</span>
+            <span class="text-2xl font-bold font-mono text-glow-amber text-accent">${fmtMultiplier(pv.multiplier)}</span>
+          </div>
+          <div class="text-xs text-gray-500">
+            ${fmtMoney(pv.totalCost)} API est. vs ${fmtMoney(pv.totalPaid)} paid over ${pv.months.length} billing month${pv.months.length === 1 ? '' : 's'} &middot;
+            ${pv.breakEvenDate ? `broke even ${shortDate(pv.breakEvenDate)}` : 'not yet broken even'}
+          </div>` : ''}
+          ${billingRows ? `<div class="space-y-1.5">${billingRows}</div>` : ''}
+          <div class="p-3 bg-emerald-500/10 border border-emerald-500/20 rounded-lg">
+            <p class="text-xs text-emerald-400 text-center">
+              Cache Read = ${pct(totalCacheRead, totalTokens)}% of all tokens — saves most of the cost
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+
+    <footer class="text-center text-gray-600 text-xs py-6 border-t border-white/5">
+      <p>Generated by <a href="https://github.com/nazt/claude-usage-report" class="text-gray-500 hover:text-gray-300">claude-usage-report</a></p>
+      <p class="mt-1 font-mono">${generated}</p>
+    </footer>
+  </div>
+  <script>
+    document.querySelectorAll('[data-calendar-show]').forEach(button => {
+      button.addEventListener('click', () => {
+        const show = button.dataset.calendarShow;
+        document.querySelectorAll('[data-calendar-show]').forEach(b => b.setAttribute('aria-pressed', String(b === button)));
+        document.querySelectorAll('[data-calendar]').forEach(c => c.classList.toggle('hidden', c.dataset.calendar !== show));
+      });
+    });
+    const projectsTable = document.getElementById('projects-table');
+    projectsTable.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', () => {
+        const key = th.dataset.sort;
+        const dir = th.dataset.dir = th.dataset.dir === 'desc' ? 'asc' : 'desc';
+        const groups = [...projectsTable.querySelectorAll('tbody')];
+        groups.sort((a, b) => {
+          const x = a.dataset[key], y = b.dataset[key];
+          const c = x !== '' && !isNaN(x) && !isNaN(y) ? x - y : x.localeCompare(y);
+          return dir === 'asc' ? c : -c;
+        });
+        groups.forEach(g => projectsTable.appendChild(g));
+      });
+    });
+    projectsTable.querySelectorAll('.project-row').forEach(row => {
+      row.addEventListener('click', () => row.nextElementSibling.classList.toggle('hidden'));
+    });
+  </script>
+</body>
+</html>`;
+}
+
+// ── Prompts HTML ───────────────────────────────────────────────────────────────
+
+function generatePromptsHTML({ prompts, sessions }) {
+  // Rendered client-side; "<" is escaped so prompt text can't close the <script>
+  const data = JSON.stringify(prompts.map(p => ({
+    date: p.date, project: p.project || '', branch: p.branch || '', prompt: p.prompt || '', summary: p.summary || '',
+    messages: p.messages || 0, sessionId: p.sessionId || '', modified: p.modified || '', tokens: p.tokens ?? null, cost: p.cost ?? null,
+  }))).replace(/</g, '\\u003c');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Claude Prompts</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  <script>
+    tailwind.config = {
+      theme: { extend: {
+        colors: { surface: '#0a0a0f', 'surface-2': '#111118', 'surface-3': '#1a1a24' },
+        fontFamily: { sans: ['Inter', 'system-ui', 'sans-serif'], mono: ['JetBrains Mono', 'monospace'] }
+      }}
+    }
+  </script>
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap');
+    body { font-family: 'Inter', system-ui, sans-serif; background: #000; }
+    .font-mono { font-family: 'JetBrains Mono', monospace; }
+    .field { background: #1a1a24; border: 1px solid rgba(255,255,255,0.1); border-radius: 0.5rem; padding: 0.5rem 0.75rem; font-size: 0.875rem; color: #fff; color-scheme: dark; }
+    .field:focus { outline: none; border-color: rgba(139, 92, 246, 0.5); }
+    th[data-sort] { cursor: pointer; user-select: none; }
+    th[data-sort]:hover { color: #d1d5db; }
+    th[aria-sort="ascending"]::after { content: ' ▲'; }
+    th[aria-sort="descending"]::after { content: ' ▼'; }
+    tr[aria-selected="true"] { background: rgba(139, 92, 246, 0.08); }
+    mark { background: rgba(245, 158, 11, 0.3); color: inherit; border-radius: 2px; }
+    button:disabled { opacity: 0.3; cursor: default; }
+    ::-webkit-scrollbar { width: 6px; } ::-webkit-scrollbar-track { background: transparent; } ::-webkit-scrollbar-thumb { background: #333; border-radius: 3px; }
+  </style>
+</head>
+<body class="bg-black min-h-screen text-white antialiased">
+  <div class="max-w-7xl mx-auto px-4 py-8">
+    <header class="mb-6">
+      <div class="flex items-center justify-between">
+        <div>
+          <h1 class="text-2xl font-semibold">Claude Prompts</h1>
+          <p class="text-gray-500 text-sm mt-1">${prompts.length} prompts from ${sessions.length} sessions</p>
+        </div>
+        <a href="index.html" class="text-sm text-gray-500 hover:text-gray-300">← Dashboard</a>
+      </div>
+      <div class="mt-4 grid grid-cols-2 lg:grid-cols-6 gap-3">
+        <input type="search" id="q" placeholder="Fuzzy search prompts, summaries, projects..." class="field col-span-2 placeholder-gray-600">
+        <select id="project" class="field"><option value="">All projects</option></select>
+        <select id="branch" class="field"><option value="">All branches</option></select>
+        <div class="flex items-center gap-2 col-span-2">
+          <input type="date" id="from" class="field flex-1 min-w-0" title="From">
+          <span class="text-gray-600 text-xs">to</span>
+          <input type="date" id="to" class="field flex-1 min-w-0" title="To">
+        </div>
+        <div class="flex items-center gap-2 col-span-2">
+          <input type="number" id="min" min="0" placeholder="Min msgs" class="field flex-1 min-w-0 placeholder-gray-600">
+          <span class="text-gray-600 text-xs">–</span>
+          <input type="number" id="max" min="0" placeholder="Max msgs" class="field flex-1 min-w-0 placeholder-gray-600">
+        </div>
+        <button id="reset" class="text-sm text-gray-500 hover:text-gray-300 text-left">Reset filters</button>
+      </div>
+    </header>
+
+    <div class="flex items-center justify-between mb-3 text-xs text-gray-500">
+      <span id="status"></span>
+      <div class="flex items-center gap-3">
+        <button id="prev" class="px-3 py-1.5 rounded-lg bg-surface-3 hover:text-gray-300">← Prev</button>
+        <span id="page" class="font-mono"></span>
+        <button id="next" class="px-3 py-1.5 rounded-lg bg-surface-3 hover:text-gray-300">Next →</button>
+      </div>
+    </div>
+
+    <div class="overflow-x-auto">
+      <table class="w-full text-left" id="prompts-table">
+        <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+          <tr>
+            <th class="py-3 px-4" data-sort="date">Date</th>
+            <th class="py-3 px-4" data-sort="project">Project</th>
+            <th class="py-3 px-4" data-sort="branch">Branch</th>
+            <th class="py-3 px-4">Prompt</th>
+            <th class="py-3 px-4">Summary</th>
+            <th class="py-3 px-4 text-right" data-sort="messages">Msgs</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+      <p id="empty" class="hidden py-12 text-center text-sm text-gray-600">No prompts match these filters.</p>
+    </div>
+  </div>
+
+  <aside id="detail" class="hidden fixed top-0 bottom-0 right-0 w-full sm:w-[520px] bg-surface-2 border-l border-white/10 shadow-xl overflow-y-auto z-20">
+    <div class="p-6">
+      <div class="flex items-center justify-between mb-4">
+        <h2 class="text-sm text-gray-500 uppercase tracking-wider">Session</h2>
+        <button id="close" class="text-gray-500 hover:text-gray-300 text-sm">Close ✕</button>
+      </div>
+      <dl id="meta" class="grid grid-cols-2 gap-x-4 gap-y-2 text-xs mb-6"></dl>
+      <h3 class="text-xs text-gray-500 uppercase tracking-wider mb-2">Prompt</h3>
+      <pre id="detail-prompt" class="whitespace-pre-wrap break-words text-sm text-gray-300 font-sans mb-6"></pre>
+      <h3 class="text-xs text-gray-500 uppercase tracking-wider mb-2">Summary</h3>
+      <p id="detail-summary" class="text-sm text-gray-400"></p>
+    </div>
+  </aside>
+
+  <script type="application/json" id="prompts-data">${data}</script>
+  <script>
+    const PAGE_SIZE = 50;
+    const prompts = JSON.parse(document.getElementById('prompts-data').textContent)
+      .map((p, i) => ({ ...p, id: p.sessionId || String(i), day: p.date ? new Date(p.date).toLocaleDateString('en-CA') : '' }));
+    const $ = id => document.getElementById(id);
+    const fields = ['q', 'project', 'branch', 'from', 'to', 'min', 'max'];
+    const state = { sort: '', dir: 'desc', page: 1, session: '' };
+
+    const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const shortProject = name => name.replace(/(^|\\s)\\/(?:[^/\\s]+\\/)*([^/\\s]+\\/[^/\\s]+)$/, '$1$2');
+    const fmtDate = iso => iso ? new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : '—';
+
+    for (const [id, key] of [['project', 'project'], ['branch', 'branch']]) {
+      const values = [...new Set(prompts.map(p => p[key]).filter(Boolean))].sort();
+      $(id).insertAdjacentHTML('beforeend', values.map(v => '<option value="' + esc(v) + '">' + esc(shortProject(v)) + '</option>').join(''));
+    }
+
+    // Substring hits score highest; otherwise the tightest in-order subsequence
+    // of the term's characters, rejected when spread too thin to mean anything.
+    function fuzzy(text, term) {
+      const lower = text.toLowerCase();
+      const at = lower.indexOf(term);
+      if (at !== -1) return { score: 2 + (at === 0 ? 1 : 0), pos: Array.from(term, (_, i) => at + i) };
+      let best = null;
+      for (let start = lower.indexOf(term[0]); start !== -1; start = lower.indexOf(term[0], start + 1)) {
+        const pos = [start];
+        for (let k = start + 1; k < lower.length && pos.length < term.length; k++) {
+          if (lower[k] === term[pos.length]) pos.push(k);
+        }
+        if (pos.length < term.length) break;
+        const span = pos[pos.length - 1] - start + 1;
+        if (!best || span < best.span) best = { span, pos };
+        if (span === term.length) break;
+      }
+      if (!best || best.span > term.length * 3) return null;
+      return { score: term.length / best.span, pos: best.pos };
+    }
+
+    function search(p, terms) {
+      const hits = { prompt: new Set(), summary: new Set(), project: new Set(), branch: new Set() };
+      let score = 0;
+      for (const term of terms) {
+        let found = 0;
+        for (const key of Object.keys(hits)) {
+          const m = fuzzy(p[key], term);
+          if (!m) continue;
+          found = Math.max(found, key === 'prompt' ? m.score * 1.5 : m.score);
+          m.pos.forEach(i => hits[key].add(i));
+        }
+        if (!found) return null;
+        score += found;
+      }
+      return { score, hits };
+    }
+
+    // Escaped text with matched characters wrapped in <mark>, cut to a window
+    // around the first match when longer than \`limit\`
+    function highlight(text, hits, limit) {
+      let start = 0;
+      if (limit && text.length > limit && hits && hits.size) start = Math.max(0, Math.min(...hits) - 40);
+      const end = limit ? Math.min(text.length, start + limit) : text.length;
+      let out = start ? '…' : '';
+      for (let i = start; i < end; i++) out += hits && hits.has(i) ? '<mark>' + esc(text[i]) + '</mark>' : esc(text[i]);
+      return out.replace(/<\\/mark><mark>/g, '') + (end < text.length ? '…' : '');
+    }
+
+    function readHash() {
+      const params = new URLSearchParams(location.hash.slice(1));
+      for (const id of fields) $(id).value = params.get(id) || '';
+      state.sort = params.get('sort') || '';
+      state.dir = params.get('dir') === 'asc' ? 'asc' : 'desc';
+      state.page = Math.max(1, Number(params.get('page')) || 1);
+      state.session = params.get('session') || '';
+    }
+
+    function writeHash() {
+      const params = new URLSearchParams();
+      for (const id of fields) if ($(id).value) params.set(id, $(id).value);
+      if (state.sort) params.set('sort', state.sort);
+      if (state.sort && state.dir === 'asc') params.set('dir', 'asc');
+      if (state.page > 1) params.set('page', state.page);
+      if (state.session) params.set('session', state.session);
+      const hash = params.toString();
+      history.replaceState(null, '', hash ? '#' + hash : location.pathname + location.search);
+    }
+
+    let view = [];
+    function render() {
+      const terms = $('q').value.toLowerCase().split(/\\s+/).filter(Boolean);
+      const project = $('project').value, branch = $('branch').value;
+      const from = $('from').value, to = $('to').value;
+      const min = $('min').value === '' ? -Infinity : Number($('min').value);
+      const max = $('max').value === '' ? Infinity : Number($('max').value);
+
+      view = [];
+      for (const p of prompts) {
+        if (project && p.project !== project) continue;
+        if (branch && p.branch !== branch) continue;
+        if ((from && p.day < from) || (to && p.day > to)) continue;
+        if (p.messages < min || p.messages > max) continue;
+        const match = terms.length ? search(p, terms) : { score: 0, hits: null };
+        if (match) view.push({ p, ...match });
+      }
+      // Best match first while searching, unless a column sort was picked
+      const key = state.sort || (terms.length ? 'score' : 'date');
+      const sign = state.sort && state.dir === 'asc' ? 1 : -1;
+      view.sort((a, b) => {
+        const x = key === 'score' ? a.score : a.p[key], y = key === 'score' ? b.score : b.p[key];
+        const c = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+        return sign * c || (b.p.date || '').localeCompare(a.p.date || '');
+      });
+
+      const pages = Math.max(1, Math.ceil(view.length / PAGE_SIZE));
+      state.page = Math.min(state.page, pages);
+      const first = (state.page - 1) * PAGE_SIZE;
+      const rows = view.slice(first, first + PAGE_SIZE);
+
+      document.querySelector('#prompts-table tbody').innerHTML = rows.map(({ p, hits }) => \`<tr data-id="\${esc(p.id)}" class="border-b border-white/5 hover:bg-white/[0.02] cursor-pointer"\${p.id === state.session ? ' aria-selected="true"' : ''}>
+        <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap">\${esc(fmtDate(p.date))}</td>
+        <td class="py-3 px-4 text-xs text-violet-400 font-mono whitespace-nowrap max-w-[150px] truncate" title="\${esc(p.project)}">\${hits && hits.project.size ? highlight(p.project, hits.project) : esc(shortProject(p.project))}</td>
+        <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap max-w-[120px] truncate">\${highlight(p.branch, hits && hits.branch)}</td>
+        <td class="py-3 px-4 text-sm text-gray-300">\${highlight(p.prompt, hits && hits.prompt, 300)}</td>
+        <td class="py-3 px-4 text-xs text-gray-500 max-w-[200px] truncate">\${highlight(p.summary, hits && hits.summary, 200)}</td>
+        <td class="py-3 px-4 text-xs text-gray-600 font-mono text-right">\${p.messages}</td>
+      </tr>\`).join('');
+
+      $('empty').classList.toggle('hidden', view.length > 0);
+      $('status').textContent = view.length
+        ? \`Showing \${first + 1}–\${first + rows.length} of \${view.length}\${view.length < prompts.length ? ' (filtered from ' + prompts.length + ')' : ''}\`
+        : \`0 of \${prompts.length}\`;
+      $('page').textContent = \`\${state.page} / \${pages}\`;
+      $('prev').disabled = state.page <= 1;
+      $('next').disabled = state.page >= pages;
+      document.querySelectorAll('th[data-sort]').forEach(th => {
+        if (th.dataset.sort === state.sort) th.setAttribute('aria-sort', state.dir === 'asc' ? 'ascending' : 'descending');
+        else th.removeAttribute('aria-sort');
+      });
+      renderDetail();
+      writeHash();
+    }
+
+    function renderDetail() {
+      const p = state.session && prompts.find(p => p.id === state.session);
+      $('detail').classList.toggle('hidden', !p);
+      if (!p) return;
+      const meta = [
+        ['Project', p.project], ['Branch', p.branch || '—'],
+        ['Started', fmtDate(p.date)], ['Last activity', fmtDate(p.modified)],
+        ['Messages', p.messages.toLocaleString()],
+        ['Tokens', p.tokens === null ? '—' : p.tokens.toLocaleString()],
+        ['Est. cost', p.cost === null ? '—' : '$' + p.cost.toFixed(2)],
+        ['Session', p.sessionId || '—'],
+      ];
+      $('meta').innerHTML = meta.map(([k, v]) => \`<dt class="text-gray-600">\${k}</dt><dd class="text-gray-300 font-mono break-all">\${esc(v)}</dd>\`).join('');
+      $('detail-prompt').textContent = p.prompt;
+      $('detail-summary').textContent = p.summary || '—';
+    }
+
+    for (const id of fields) $(id).addEventListener('input', () => { state.page = 1; render(); });
+    $('reset').addEventListener('click', () => {
+      for (const id of fields) $(id).value = '';
+      Object.assign(state, { sort: '', dir: 'desc', page: 1 });
+      render();
+    });
+    $('prev').addEventListener('click', () => { state.page--; render(); scrollTo(0, 0); });
+    $('next').addEventListener('click', () => { state.page++; render(); scrollTo(0, 0); });
+    document.querySelectorAll('th[data-sort]').forEach(th => th.addEventListener('click', () => {
+      state.dir = state.sort === th.dataset.sort && state.dir === 'desc' ? 'asc' : 'desc';
+      state.sort = th.dataset.sort;
+      render();
+    }));
+    document.querySelector('#prompts-table tbody').addEventListener('click', e => {
+      const row = e.target.closest('tr[data-id]');
+      if (!row) return;
+      state.session = row.dataset.id;
+      render();
+    });
+    $('close').addEventListener('click', () => { state.session = ''; render(); });
+    document.addEventListener('keydown', e => {
+      if (e.key === 'Escape' && state.session) { state.session = ''; render(); }
+    });
+    window.addEventListener('hashchange', () => { readHash(); render(); });
+
+    readHash();
+    render();
+  </script>
+</body>
+</html>`;
+}
+
+// ── Period Index HTML ──────────────────────────────────────────────────────────
+
+function generatePeriodIndexHTML(kind, periods, generatedDisplay) {
+  const rows = [...periods].reverse().map(({ key, since, until, metrics: m }) => `<tr class="border-b border-white/5 hover:bg-white/[0.02]">
+      <td class="py-3 px-4 text-sm font-mono"><a href="${key}/index.html" class="text-violet-400 hover:text-violet-300">${key}</a></td>
+      <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap">${since} — ${until}</td>
+      <td class="py-3 px-4 text-sm font-mono text-right">${m.totalMessages.toLocaleString()}</td>
+      <td class="py-3 px-4 text-sm font-mono text-right">${m.totalSessions.toLocaleString()}</td>
+      <td class="py-3 px-4 text-sm font-mono text-right text-blue-400">${fmt(m.totalTokens)}</td>
+      <td class="py-3 px-4 text-sm font-mono text-right text-accent">${fmtMoney(m.costEstimate)}</td>
+    </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Claude Usage Reports</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+  <script>
+    tailwind.config = {
+      theme: { extend: {
+        colors: { accent: '#F59E0B', surface: '#0a0a0f', 'surface-2': '#111118', 'surface-3': '#1a1a24' },
+        fontFamily: { sans: ['Inter', 'system-ui', 'sans-serif'], mono: ['JetBrains Mono', 'monospace'] }
+      }}
+    }
+  </script>
+  <style>
+    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap');
+    body { font-family: 'Inter', system-ui, sans-serif; background: #000; }
+    .font-mono { font-family: 'JetBrains Mono', monospace; }
+  </style>
+</head>
+<body class="bg-black min-h-screen text-white antialiased">
+  <div class="max-w-5xl mx-auto px-4 py-8">
+    <header class="mb-8">
+      <div class="flex items-center justify-between">
+        <div>
+          <h1 class="text-2xl font-semibold">Claude Usage Reports</h1>
+          <p class="text-gray-500 text-sm mt-1">${periods.length} ${kind}ly reports &middot; Generated ${generatedDisplay}</p>
+        </div>
+        <a href="../index.html" class="text-sm text-gray-500 hover:text-gray-300">← Dashboard</a>
+      </div>
+    </header>
+
+    <div class="overflow-x-auto">
+      <table class="w-full text-left">
+        <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+          <tr>
+            <th class="py-3 px-4">${kind === 'month' ? 'Month' : 'Week'}</th>
+            <th class="py-3 px-4">Range</th>
+            <th class="py-3 px-4 text-right">Msgs</th>
+            <th class="py-3 px-4 text-right">Sessions</th>
+            <th class="py-3 px-4 text-right">Tokens</th>
+            <th class="py-3 px-4 text-right">API Est.</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+    </div>
+  </div>
+</body>
+</html>`;
 }
 
-// ── HTML Generator ─────────────────────────────────────────────────────────────
+// ── Team HTML ──────────────────────────────────────────────────────────────────
 
-function generateHTML() {
+function generateTeamHTML({ totals, people, models, daily, busiestDays }, { generated, generatedDisplay }) {
   const maxDailyMsg = Math.max(...daily.map(d => d.messageCount), 1);
-
   const dailyBars = daily.map(d => {
     const h = Math.max((d.messageCount / maxDailyMsg) * 100, 1);
-    const dt = new Date(d.date);
-    const label = dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-    const isTop5 = topDays.some(t => t.date === d.date);
-    const gradient = isTop5 ? 'from-amber-600 to-amber-400' : 'from-violet-600 to-violet-400';
-    const border = isTop5 ? 'border-amber-500/30' : 'border-white/10';
+    const label = new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
     return `<div class="bar-container flex flex-col items-center justify-end min-w-[14px] h-full relative group cursor-pointer">
-      <div class="tooltip absolute bottom-full mb-2 bg-surface-2 border ${border} px-3 py-2 rounded-lg text-xs whitespace-nowrap z-20 shadow-xl">
+      <div class="tooltip absolute bottom-full mb-2 bg-surface-2 border border-white/10 px-3 py-2 rounded-lg text-xs whitespace-nowrap z-20 shadow-xl">
         <div class="font-medium text-white">${label}</div>
         <div class="text-gray-400 font-mono">${d.messageCount.toLocaleString()} msgs</div>
-        <div class="text-gray-500">${d.sessionCount} sessions</div>
+        <div class="text-gray-500">${d.members} active</div>
       </div>
-      <div class="bar w-3 rounded-t bg-gradient-to-t ${gradient}" style="height: ${h.toFixed(1)}%; min-height: 2px;"></div>
+      <div class="bar w-3 rounded-t bg-gradient-to-t from-violet-600 to-violet-400" style="height: ${h.toFixed(1)}%; min-height: 2px;"></div>
     </div>`;
   }).join('\n');
 
+  const personRows = people.map(p => {
+    const mix = p.models.filter(m => m.total > 0).map(m =>
+      `<div class="h-full bg-${modelColor(m.id).bg}-500" style="width: ${pct(m.total, p.tokens)}%" title="${escapeHtml(modelShortName(m.id))} ${pct(m.total, p.tokens)}%"></div>`
+    ).join('');
+    return `<tr class="border-b border-white/5 hover:bg-white/[0.02]">
+          <td class="py-3 px-4 text-sm text-violet-400 font-medium">${escapeHtml(p.alias)}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right">${p.messages.toLocaleString()}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right">${p.sessions.toLocaleString()}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right">${p.toolCalls.toLocaleString()}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right text-blue-400">${fmt(p.tokens)}</td>
+          <td class="py-3 px-4 text-sm font-mono text-right text-accent">${fmtMoney(p.cost)}</td>
+          <td class="py-3 px-4 w-48"><div class="flex h-2 rounded-full overflow-hidden bg-surface-3">${mix}</div></td>
+          <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap">${p.firstDate || '—'} — ${p.lastDate || '—'}</td>
+        </tr>`;
+  }).join('\n');
+
   const modelRows = models.slice(0, 8).map(m => {
     const c = modelColor(m.id);
-    const p = pct(m.total, totalTokens);
+    const p = pct(m.total, totals.tokens);
     return `<div>
       <div class="flex justify-between items-center mb-2">
         <div class="flex items-center gap-2">
           <span class="w-2 h-2 rounded-full bg-${c.bg}-500"></span>
-          <span class="text-sm text-gray-300">${modelShortName(m.id)}</span>
+          <span class="text-sm text-gray-300">${escapeHtml(modelShortName(m.id))}</span>
         </div>
         <span class="font-mono text-sm text-${c.bg}-400">${fmt(m.total)} <span class="text-gray-600">(${p}%)</span></span>
       </div>
@@ -243,57 +3751,32 @@ function generateHTML() {
     </div>`;
   }).join('\n');
 
-  const topDayRows = topDays.map((d, i) => {
-    const dt = new Date(d.date);
-    const label = dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const leaderboardRows = busiestDays.map((d, i) => {
+    const label = new Date(d.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
     const isFirst = i === 0;
     const bg = isFirst ? 'bg-amber-500/10 border border-amber-500/20' : 'bg-surface-3/50';
     const badge = isFirst ? 'bg-amber-500 text-black' : 'bg-gray-700 text-gray-300';
     return `<div class="flex items-center gap-3 p-3 ${bg} rounded-xl">
       <span class="w-7 h-7 flex items-center justify-center ${badge} text-sm font-bold rounded-lg">${i + 1}</span>
+      <span class="w-28 text-sm text-violet-400 truncate">${escapeHtml(d.alias)}</span>
       <span class="flex-1 text-sm">${label}</span>
-      <span class="font-mono text-sm text-gray-400">${d.messageCount.toLocaleString()} msgs</span>
+      <span class="font-mono text-sm text-gray-400">${d.messages.toLocaleString()} msgs</span>
     </div>`;
   }).join('\n');
 
-  const hourBars = Array.from({ length: 24 }, (_, h) => {
-    const count = hourCounts[h] || 0;
-    const height = Math.max((count / maxHourCount) * 100, 1);
-    return `<div class="flex flex-col items-center gap-1 flex-1">
-      <div class="w-full bg-surface-3 rounded-t relative" style="height: 60px;">
-        <div class="absolute bottom-0 w-full bg-gradient-to-t from-violet-600 to-violet-400 rounded-t" style="height: ${height.toFixed(1)}%"></div>
-      </div>
-      <span class="text-[10px] text-gray-600">${h}</span>
-    </div>`;
-  }).join('\n');
-
-  const firstDate = stats.firstSessionDate ? new Date(stats.firstSessionDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : 'N/A';
-
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Claude Usage Report</title>
+  <title>Claude Team Usage Report</title>
   <script src="https://cdn.tailwindcss.com"></script>
   <script>
     tailwind.config = {
-      theme: {
-        extend: {
-          colors: {
-            primary: '#1E40AF',
-            secondary: '#3B82F6',
-            accent: '#F59E0B',
-            surface: '#0a0a0f',
-            'surface-2': '#111118',
-            'surface-3': '#1a1a24',
-          },
-          fontFamily: {
-            sans: ['Inter', 'system-ui', 'sans-serif'],
-            mono: ['JetBrains Mono', 'Fira Code', 'monospace'],
-          }
-        }
-      }
+      theme: { extend: {
+        colors: { secondary: '#3B82F6', accent: '#F59E0B', surface: '#0a0a0f', 'surface-2': '#111118', 'surface-3': '#1a1a24' },
+        fontFamily: { sans: ['Inter', 'system-ui', 'sans-serif'], mono: ['JetBrains Mono', 'Fira Code', 'monospace'] }
+      }}
     }
   </script>
   <style>
@@ -302,14 +3785,10 @@ function generateHTML() {
     .font-mono { font-family: 'JetBrains Mono', monospace; }
     .oled-bg { background: radial-gradient(ellipse at top, #0d1117 0%, #000 50%); }
     .glass { background: rgba(17, 17, 24, 0.8); backdrop-filter: blur(20px); border: 1px solid rgba(255,255,255,0.06); }
-    .glass-highlight { background: linear-gradient(135deg, rgba(30, 64, 175, 0.15) 0%, rgba(59, 130, 246, 0.08) 100%); border: 1px solid rgba(59, 130, 246, 0.2); }
-    .glow-blue { box-shadow: 0 0 60px rgba(59, 130, 246, 0.15); }
-    .glow-green { box-shadow: 0 0 60px rgba(16, 185, 129, 0.15); }
     .text-glow-blue { text-shadow: 0 0 20px rgba(59, 130, 246, 0.5); }
     .text-glow-amber { text-shadow: 0 0 20px rgba(245, 158, 11, 0.5); }
     .stat-card { transition: all 0.2s ease; }
     .stat-card:hover { transform: translateY(-2px); border-color: rgba(59, 130, 246, 0.3); }
-    .bar { transition: height 0.5s cubic-bezier(0.4, 0, 0.2, 1); }
     .tooltip { opacity: 0; transition: opacity 0.15s ease; pointer-events: none; }
     .bar-container:hover .tooltip { opacity: 1; }
     ::-webkit-scrollbar { width: 6px; height: 6px; }
@@ -322,159 +3801,84 @@ function generateHTML() {
 
     <!-- Header -->
     <header class="text-center mb-12">
-      <h1 class="text-3xl sm:text-4xl font-semibold tracking-tight mb-2">Claude Usage Report</h1>
-      <p class="text-gray-500 text-sm font-mono">${firstDate} — ${stats.lastComputedDate} &middot; Generated ${generatedDisplay}</p>
+      <h1 class="text-3xl sm:text-4xl font-semibold tracking-tight mb-2">Claude Team Usage Report</h1>
+      <p class="text-gray-500 text-sm font-mono">${totals.members} members &middot; ${daily.length ? `${daily[0].date} — ${daily[daily.length - 1].date}` : 'no activity'} &middot; Generated ${generatedDisplay}</p>
       <div class="mt-3">
         <a href="data.json" class="text-sm text-gray-500 hover:text-gray-300 transition-colors">Raw JSON</a>
       </div>
     </header>
 
-    <!-- Hero Stats -->
+    <!-- Team Totals -->
     <div class="grid grid-cols-2 lg:grid-cols-5 gap-3 sm:gap-4 mb-8">
       <div class="glass stat-card rounded-2xl p-5">
         <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Total Tokens</div>
-        <div class="text-2xl sm:text-3xl font-bold font-mono text-glow-blue text-secondary">${fmt(totalTokens)}</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-glow-blue text-secondary">${fmt(totals.tokens)}</div>
       </div>
       <div class="glass stat-card rounded-2xl p-5">
         <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Messages</div>
-        <div class="text-2xl sm:text-3xl font-bold font-mono text-emerald-400">${totalMessages.toLocaleString()}</div>
-        <div class="text-xs text-gray-600 mt-1">~${avgMessagesPerDay}/day</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-emerald-400">${totals.messages.toLocaleString()}</div>
       </div>
       <div class="glass stat-card rounded-2xl p-5">
         <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Sessions</div>
-        <div class="text-2xl sm:text-3xl font-bold font-mono text-violet-400">${totalSessions.toLocaleString()}</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-violet-400">${totals.sessions.toLocaleString()}</div>
       </div>
       <div class="glass stat-card rounded-2xl p-5">
         <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">Tool Calls</div>
-        <div class="text-2xl sm:text-3xl font-bold font-mono text-amber-400">${totalToolCalls.toLocaleString()}</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-amber-400">${totals.toolCalls.toLocaleString()}</div>
       </div>
       <div class="glass stat-card rounded-2xl p-5">
         <div class="text-xs text-gray-500 uppercase tracking-wider mb-2">API Est.</div>
-        <div class="text-2xl sm:text-3xl font-bold font-mono text-glow-amber text-accent">${fmtMoney(costEstimate)}</div>
-        <div class="text-xs text-gray-600 mt-1">if paid per-token</div>
+        <div class="text-2xl sm:text-3xl font-bold font-mono text-glow-amber text-accent">${fmtMoney(totals.cost)}</div>
+        <div class="text-xs text-gray-600 mt-1">${fmtMoney(totals.cost / Math.max(totals.members, 1))} per member</div>
       </div>
     </div>
 
-    <!-- Main Grid -->
-    <div class="grid lg:grid-cols-2 gap-6 mb-8">
-
-      <!-- Token Breakdown -->
-      <div class="glass rounded-2xl p-6">
-        <h2 class="text-lg font-semibold mb-6">Token Breakdown</h2>
-        <div class="space-y-5">
-          <div>
-            <div class="flex justify-between items-center mb-2">
-              <span class="text-sm text-gray-400">Input (new)</span>
-              <span class="font-mono text-sm text-blue-400">${fmt(totalInput)}</span>
-            </div>
-            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
-              <div class="h-full bg-gradient-to-r from-blue-600 to-blue-400 rounded-full" style="width: ${pct(totalInput, totalTokens)}%"></div>
-            </div>
-          </div>
-          <div>
-            <div class="flex justify-between items-center mb-2">
-              <span class="text-sm text-gray-400">Output</span>
-              <span class="font-mono text-sm text-emerald-400">${fmt(totalOutput)}</span>
-            </div>
-            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
-              <div class="h-full bg-gradient-to-r from-emerald-600 to-emerald-400 rounded-full" style="width: ${pct(totalOutput, totalTokens)}%"></div>
-            </div>
-          </div>
-          <div>
-            <div class="flex justify-between items-center mb-2">
-              <span class="text-sm text-gray-400">Cache Read</span>
-              <span class="font-mono text-sm text-violet-400">${fmt(totalCacheRead)}</span>
-            </div>
-            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
-              <div class="h-full bg-gradient-to-r from-violet-600 to-violet-400 rounded-full" style="width: ${pct(totalCacheRead, totalTokens)}%"></div>
-            </div>
-          </div>
-          <div>
-            <div class="flex justify-between items-center mb-2">
-              <span class="text-sm text-gray-400">Cache Creation</span>
-              <span class="font-mono text-sm text-amber-400">${fmt(totalCacheCreate)}</span>
-            </div>
-            <div class="h-2 bg-surface-3 rounded-full overflow-hidden">
-              <div class="h-full bg-gradient-to-r from-amber-600 to-amber-400 rounded-full" style="width: ${pct(totalCacheCreate, totalTokens)}%"></div>
-            </div>
-          </div>
-        </div>
-        <div class="mt-6 p-4 bg-surface-3/50 rounded-xl border border-white/5">
-          <div class="flex items-center justify-between">
-            <div>
-              <div class="text-xs text-gray-500 uppercase tracking-wider mb-1">New tokens (input + output)</div>
-              <div class="text-2xl font-bold font-mono text-white">${fmt(totalInput + totalOutput)}</div>
-            </div>
-            <div class="text-right text-xs text-gray-600">
-              <div>Input ${fmt(totalInput)}</div>
-              <div>+ Output ${fmt(totalOutput)}</div>
-            </div>
-          </div>
-        </div>
-      </div>
-
-      <!-- Model Distribution -->
-      <div class="glass rounded-2xl p-6">
-        <h2 class="text-lg font-semibold mb-6">Model Distribution</h2>
-        <div class="space-y-4">
-          ${modelRows}
-        </div>
+    <!-- People -->
+    <div class="glass rounded-2xl p-6 mb-8">
+      <h2 class="text-lg font-semibold mb-6">Members</h2>
+      <div class="overflow-x-auto">
+        <table class="w-full text-left">
+          <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
+            <tr>
+              <th class="py-3 px-4">Member</th>
+              <th class="py-3 px-4 text-right">Msgs</th>
+              <th class="py-3 px-4 text-right">Sessions</th>
+              <th class="py-3 px-4 text-right">Tool Calls</th>
+              <th class="py-3 px-4 text-right">Tokens</th>
+              <th class="py-3 px-4 text-right">API Est.</th>
+              <th class="py-3 px-4">Model Mix</th>
+              <th class="py-3 px-4">Active</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${personRows}
+          </tbody>
+        </table>
       </div>
     </div>
 
-    <!-- Daily Usage Chart -->
+    <!-- Team Daily Activity -->
     <div class="glass rounded-2xl p-6 mb-8">
-      <h2 class="text-lg font-semibold mb-6">Daily Activity <span class="ml-2 text-xs text-gray-600 font-normal">(messages per day)</span></h2>
+      <h2 class="text-lg font-semibold mb-6">Team Daily Activity <span class="ml-2 text-xs text-gray-600 font-normal">(messages per day, all members)</span></h2>
       <div class="flex items-end gap-[3px] h-48 overflow-x-auto pb-4">
         ${dailyBars}
       </div>
-      <div class="flex justify-between text-xs text-gray-600 mt-2">
-        <span>${daily.length > 0 ? daily[0].date : ''}</span>
-        <span>${daily.length > 0 ? daily[daily.length - 1].date : ''}</span>
-      </div>
     </div>
 
-    <!-- Bottom Grid -->
-    <div class="grid lg:grid-cols-3 gap-6 mb-8">
-
-      <!-- Top Days -->
+    <div class="grid lg:grid-cols-2 gap-6 mb-8">
+      <!-- Busiest Days -->
       <div class="glass rounded-2xl p-6">
-        <h2 class="text-lg font-semibold mb-4">Top Days</h2>
+        <h2 class="text-lg font-semibold mb-4">Busiest Days</h2>
         <div class="space-y-2">
-          ${topDayRows}
+          ${leaderboardRows}
         </div>
       </div>
 
-      <!-- Hour Distribution -->
+      <!-- Team Model Distribution -->
       <div class="glass rounded-2xl p-6">
-        <h2 class="text-lg font-semibold mb-4">Activity by Hour</h2>
-        <div class="flex gap-[2px] items-end">
-          ${hourBars}
-        </div>
-      </div>
-
-      <!-- Value Analysis -->
-      <div class="glass-highlight glow-green rounded-2xl p-6">
-        <h2 class="text-lg font-semibold mb-4">Value Analysis</h2>
+        <h2 class="text-lg font-semibold mb-6">Model Distribution</h2>
         <div class="space-y-4">
-          <div class="flex justify-between items-center">
-            <span class="text-sm text-gray-400">API Cost (est.)</span>
-            <span class="text-xl font-bold font-mono text-red-400">${fmtMoney(costEstimate)}</span>
-          </div>
-          <div class="flex justify-between items-center">
-            <span class="text-sm text-gray-400">Max Plan</span>
-            <span class="text-xl font-bold font-mono text-emerald-400">$200</span>
-          </div>
-          <div class="h-px bg-white/10"></div>
-          <div class="flex justify-between items-center">
-            <span class="text-sm text-gray-400">Value Multiplier</span>
-            <span class="text-2xl font-bold font-mono text-glow-amber text-accent">${Math.round(costEstimate / 200)}x</span>
-          </div>
-          <div class="p-3 bg-emerald-500/10 border border-emerald-500/20 rounded-lg">
-            <p class="text-xs text-emerald-400 text-center">
-              Cache Read = ${pct(totalCacheRead, totalTokens)}% of all tokens — saves most of the cost
-            </p>
-          </div>
+          ${modelRows}
         </div>
       </div>
     </div>
@@ -487,87 +3891,3 @@ function generateHTML() {
 </body>
 </html>`;
 }
-
-// ── Prompts HTML ───────────────────────────────────────────────────────────────
-
-function generatePromptsHTML() {
-  const rows = prompts.map(p => {
-    const dt = new Date(p.date);
-    const dateStr = dt.toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
-    const project = p.project.split('/').slice(-2).join('/');
-    return `<tr class="border-b border-white/5 hover:bg-white/[0.02]">
-      <td class="py-3 px-4 text-xs text-gray-500 font-mono whitespace-nowrap">${dateStr}</td>
-      <td class="py-3 px-4 text-xs text-violet-400 font-mono whitespace-nowrap max-w-[150px] truncate">${escapeHtml(project)}</td>
-      <td class="py-3 px-4 text-sm text-gray-300">${escapeHtml(p.prompt)}</td>
-      <td class="py-3 px-4 text-xs text-gray-500 max-w-[200px] truncate">${escapeHtml(p.summary)}</td>
-      <td class="py-3 px-4 text-xs text-gray-600 font-mono text-right">${p.messages}</td>
-    </tr>`;
-  }).join('\n');
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Claude Prompts</title>
-  <script src="https://cdn.tailwindcss.com"></script>
-  <script>
-    tailwind.config = {
-      theme: { extend: {
-        colors: { surface: '#0a0a0f', 'surface-2': '#111118', 'surface-3': '#1a1a24' },
-        fontFamily: { sans: ['Inter', 'system-ui', 'sans-serif'], mono: ['JetBrains Mono', 'monospace'] }
-      }}
-    }
-  </script>
-  <style>
-    @import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&family=JetBrains+Mono:wght@400;500&display=swap');
-    body { font-family: 'Inter', system-ui, sans-serif; background: #000; }
-    .font-mono { font-family: 'JetBrains Mono', monospace; }
-    ::-webkit-scrollbar { width: 6px; } ::-webkit-scrollbar-track { background: transparent; } ::-webkit-scrollbar-thumb { background: #333; border-radius: 3px; }
-  </style>
-</head>
-<body class="bg-black min-h-screen text-white antialiased">
-  <div class="max-w-7xl mx-auto px-4 py-8">
-    <header class="mb-8">
-      <div class="flex items-center justify-between">
-        <div>
-          <h1 class="text-2xl font-semibold">Claude Prompts</h1>
-          <p class="text-gray-500 text-sm mt-1">${prompts.length} prompts from ${sessions.length} sessions</p>
-        </div>
-        <a href="index.html" class="text-sm text-gray-500 hover:text-gray-300">← Dashboard</a>
-      </div>
-      <div class="mt-4">
-        <input type="text" id="search" placeholder="Search prompts..." class="w-full sm:w-96 bg-surface-3 border border-white/10 rounded-lg px-4 py-2 text-sm text-white placeholder-gray-600 focus:outline-none focus:border-violet-500/50">
-      </div>
-    </header>
-
-    <div class="overflow-x-auto">
-      <table class="w-full text-left" id="prompts-table">
-        <thead class="text-xs text-gray-500 uppercase tracking-wider border-b border-white/10">
-          <tr>
-            <th class="py-3 px-4">Date</th>
-            <th class="py-3 px-4">Project</th>
-            <th class="py-3 px-4">Prompt</th>
-            <th class="py-3 px-4">Summary</th>
-            <th class="py-3 px-4 text-right">Msgs</th>
-          </tr>
-        </thead>
-        <tbody>
-          ${rows}
-        </tbody>
-      </table>
-    </div>
-  </div>
-  <script>
-    const search = document.getElementById('search');
-    const rows = document.querySelectorAll('#prompts-table tbody tr');
-    search.addEventListener('input', () => {
-      const q = search.value.toLowerCase();
-      rows.forEach(r => {
-        r.style.display = r.textContent.toLowerCase().includes(q) ? '' : 'none';
-      });
-    });
-  </script>
-</body>
-</html>`;
-}
@@ -0,0 +1,125 @@
+// The library API, used in-process against the fixture Claude directories.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadStats, computeMetrics, renderDashboard, renderPrompts, reportJSON } from '../generate.mjs';
+
+const claudeDir = fileURLToPath(new URL('./fixtures/current', import.meta.url));
+
+test('loadStats returns the parsed data without printing', async () => {
+  const lines = [];
+  const data = await loadStats({ claudeDir, log: line => lines.push(line) });
+  assert.equal(data.stats.version, 2);
+  assert.deepEqual(data.sessions.map(s => s.sessionId), ['s-1']);
+  assert.equal(data.transcripts.bySession.get('s-1').tokens, 6210);
+  assert.deepEqual(data.diagnostics, []);
+  assert.ok(lines.some(l => l.includes('Loading session indexes')));
+});
+
+test('computeMetrics narrows to a window and takes its own options', async () => {
+  const data = await loadStats({ claudeDir, plan: 'pro' });
+  const all = computeMetrics(data);
+  const window = computeMetrics(data, { since: '2026-09-02', plan: 'max5x', timeZone: 'UTC' });
+  assert.equal(all.totalMessages, 60);
+  assert.equal(all.planValue.label, 'Pro');
+  assert.equal(window.totalMessages, 40);
+  // The rolling average still sees the day before the window
+  assert.equal(window.rollingAverage['2026-09-03'], 60 / 7);
+  // Hours come from the window's sessions, not the lifetime counts
+  assert.deepEqual(window.hourCounts, { 14: 1 });
+  assert.deepEqual(computeMetrics(data, { since: '2026-09-02', timeZone: 'Asia/Tokyo' }).hourCounts, { 23: 1 });
+  assert.equal(window.planValue.label, 'Max 5x');
+  assert.equal(reportJSON(window).range.since, '2026-09-02');
+});
+
+test('renderers return HTML strings', async () => {
+  const metrics = computeMetrics(await loadStats({ claudeDir }));
+  assert.match(renderDashboard(metrics), /^<!DOCTYPE html>[\s\S]*Cache Efficiency/);
+  const prompts = renderPrompts(metrics, { offline: true });
+  assert.match(prompts, /Add a login form/);
+  assert.doesNotMatch(prompts, /cdn\.tailwindcss\.com/);
+});
+
+test('bad options throw instead of exiting', async () => {
+  const data = await loadStats({ claudeDir });
+  assert.throws(() => computeMetrics(data, { period: 'year' }), /--period expects week or month/);
+  await assert.rejects(loadStats({ stats: '/nonexistent/stats-cache.json' }), /Stats file not found/);
+});
+
+test('rhythm follows the configured time zone', async () => {
+  const data = await loadStats({ claudeDir, timeZone: 'UTC' });
+  const { rhythm } = computeMetrics(data);
+  assert.deepEqual({ ...rhythm.streaks, currentUntil: undefined },
+    { current: 0, currentUntil: undefined, longest: 1, longestSince: '2026-09-01', longestUntil: '2026-09-01', activeDays: 2 });
+  assert.equal(rhythm.matrix.sessions[3][14], 1);  // Thursday 14:00
+  assert.equal(rhythm.offHoursShare, 0);
+  assert.equal(rhythm.longestSession.projectName, '/tmp/demo-app');
+
+  const auckland = computeMetrics(data, { timeZone: 'Pacific/Auckland' }).rhythm;
+  assert.equal(auckland.matrix.sessions[4][2], 1);  // Friday 02:00
+  assert.equal(auckland.offHoursShare, 1);
+  assert.throws(() => computeMetrics(data, { timeZone: 'Mars/Olympus' }), /time zone/i);
+});
+
+test('transcript records without a message id are all counted', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'claude-dir-'));
+  try {
+    mkdirSync(join(dir, 'projects', '-tmp-old'), { recursive: true });
+    const record = id => JSON.stringify({
+      type: 'assistant', sessionId: 's-old', timestamp: '2026-09-01T10:00:00.000Z', ...(id ? { requestId: 'req_1' } : {}),
+      message: { ...(id ? { id } : {}), model: 'claude-opus-4-6', usage: { input_tokens: 1, output_tokens: 100 } },
+    });
+    writeFileSync(join(dir, 'projects', '-tmp-old', 's-old.jsonl'), [record(), record(), record('msg_1'), record('msg_1')].join('\n'));
+    const data = await loadStats({ claudeDir: dir });
+    assert.equal(data.transcripts.bySession.get('s-old').tokens, 303);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('the current streak ends at the end of the window', async () => {
+  const data = await loadStats({ claudeDir });
+  const streak = until => computeMetrics(data, { until }).rhythm.streaks;
+  assert.deepEqual([streak('2026-09-03').current, streak('2026-09-03').currentUntil], [1, '2026-09-03']);
+  assert.deepEqual([streak('2026-09-30').current, streak('2026-09-30').currentUntil], [0, '2026-09-30']);
+});
+
+test('overlapping calls keep their own settings', async () => {
+  const [hidden, open] = await Promise.all([
+    loadStats({ claudeDir, redact: { projects: { deny: ['*demo*'] } }, offline: true }),
+    loadStats({ claudeDir }),
+  ]);
+  assert.match(hidden.sessions[0].projectName, /^project-[0-9a-f]{8}$/);
+  assert.equal(open.sessions[0].projectName, '/tmp/demo-app');
+
+  const offlineMetrics = computeMetrics(hidden);
+  const cdnMetrics = computeMetrics(open);
+  assert.doesNotMatch(renderDashboard(offlineMetrics), /cdn\.tailwindcss\.com|demo-app/);
+  assert.match(renderDashboard(cdnMetrics), /cdn\.tailwindcss\.com/);
+
+  const ann = computeMetrics(open, { alias: 'ann', plan: 'pro' });
+  const bob = computeMetrics(open, { alias: 'bob' });
+  assert.deepEqual([reportJSON(ann).alias, reportJSON(ann).plan.label], ['ann', 'Pro']);
+  assert.deepEqual([reportJSON(bob).alias, reportJSON(bob).plan.label], ['bob', 'Max 20x']);
+});
+
+test('a response copied into a resumed session is counted once', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'claude-dir-'));
+  try {
+    mkdirSync(join(dir, 'projects', '-tmp-fork'), { recursive: true });
+    const record = sessionId => JSON.stringify({
+      type: 'assistant', sessionId, timestamp: '2026-09-01T10:00:00.000Z', requestId: 'req_1',
+      message: { id: 'msg_1', model: 'claude-opus-4-6', content: [{ type: 'tool_use', id: 'tu_1', name: 'Read' }], usage: { input_tokens: 1, output_tokens: 100 } },
+    });
+    writeFileSync(join(dir, 'projects', '-tmp-fork', 'a.jsonl'), record('a'));
+    writeFileSync(join(dir, 'projects', '-tmp-fork', 'b.jsonl'), record('b'));
+    const { transcripts } = await loadStats({ claudeDir: dir });
+    assert.equal([...transcripts.byDay.values()].reduce((s, d) => s + d.tokens, 0), 101);
+    assert.equal(transcripts.toolCalls.size, 1);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,61 @@
+// The history store, fed successive stats-cache.json files through loadStats().
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadStats } from '../generate.mjs';
+
+const day = (date, messageCount, sessionCount) => ({ date, messageCount, sessionCount, toolCallCount: 0 });
+const first = {
+  version: 2, totalMessages: 60, totalSessions: 3, firstSessionDate: '2026-09-01T08:00:00.000Z',
+  dailyActivity: [day('2026-09-01', 20, 1), day('2026-09-03', 40, 2)],
+  modelUsage: { 'claude-opus-4-6': { inputTokens: 500, outputTokens: 4000 } },
+};
+
+// Loads each cache in turn against one history store; returns the last result
+// and the log lines of every run
+async function loadInTurn(...caches) {
+  const root = mkdtempSync(join(tmpdir(), 'usage-report-history-'));
+  const claudeDir = join(root, 'claude'), lines = [];
+  mkdirSync(claudeDir);
+  try {
+    let data;
+    for (const cache of caches) {
+      writeFileSync(join(claudeDir, 'stats-cache.json'), JSON.stringify(cache));
+      data = await loadStats({ claudeDir, history: join(root, 'history'), log: line => lines.push(line) });
+    }
+    return { stats: data.stats, lines };
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('days ageing out of the cache are neither lost nor counted twice', async () => {
+  const { stats, lines } = await loadInTurn(first, {
+    ...first, totalMessages: 50, totalSessions: 3,
+    dailyActivity: [day('2026-09-03', 40, 2), day('2026-09-04', 10, 1)],
+    modelUsage: { 'claude-opus-4-6': { inputTokens: 400, outputTokens: 4500 } },
+  });
+  assert.deepEqual(stats.dailyActivity.map(d => d.date), ['2026-09-01', '2026-09-03', '2026-09-04']);
+  assert.equal(stats.totalMessages, 70);
+  assert.equal(stats.totalSessions, 4);
+  const { inputTokens, outputTokens } = stats.modelUsage['claude-opus-4-6'];
+  assert.deepEqual([inputTokens, outputTokens], [500, 4500]);
+  assert.ok(!lines.some(l => l.includes('cache generations')));
+});
+
+test('a rebuilt cache starts a new generation and keeps the old totals', async () => {
+  const { stats, lines } = await loadInTurn(first, {
+    ...first, totalMessages: 5, totalSessions: 1, firstSessionDate: '2026-09-03T16:00:00.000Z',
+    dailyActivity: [day('2026-09-03', 5, 1)],
+    modelUsage: { 'claude-opus-4-6': { inputTokens: 10, outputTokens: 100 } },
+  });
+  assert.deepEqual(stats.dailyActivity.map(d => [d.date, d.messageCount]), [['2026-09-01', 20], ['2026-09-03', 40]]);
+  assert.equal(stats.totalMessages, 60);
+  assert.equal(stats.totalSessions, 3);
+  const { inputTokens, outputTokens } = stats.modelUsage['claude-opus-4-6'];
+  assert.deepEqual([inputTokens, outputTokens], [510, 4100]);
+  assert.equal(stats.firstSessionDate, '2026-09-01T08:00:00.000Z');
+  assert.ok(lines.some(l => l.includes('2 cache generations')));
+});
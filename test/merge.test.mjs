@@ -0,0 +1,54 @@
+// Team merge of members' data.json exports, including a hostile one.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const script = fileURLToPath(new URL('../generate.mjs', import.meta.url));
+
+test('malformed rows in a member export are dropped and model IDs escaped', () => {
+  const cwd = mkdtempSync(join(tmpdir(), 'usage-report-team-'));
+  try {
+    mkdirSync(join(cwd, 'exports'));
+    writeFileSync(join(cwd, 'exports', 'ann.json'), JSON.stringify({
+      alias: 'ann', totalTokens: 300, totalMessages: '<b>12</b>',
+      models: [{ id: '<img src=x onerror=alert(1)>', total: 200 }, { id: 42, total: 100 }, 'junk'],
+      daily: [{ date: '2026-09-01', messageCount: '<script>alert(2)</script>' }, { date: '<i>', messageCount: 5 }],
+    }));
+    const r = spawnSync(process.execPath, [script, 'merge', 'exports'], { cwd, encoding: 'utf-8', timeout: 60000 });
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.match(r.stderr, /ann\.json: 3 malformed model or daily rows skipped/);
+
+    const html = readFileSync(join(cwd, 'team', 'index.html'), 'utf-8');
+    assert.doesNotMatch(html, /<img src=x|<script>alert|<b>12/);
+    assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;/);
+    const team = JSON.parse(readFileSync(join(cwd, 'team', 'data.json'), 'utf-8'));
+    assert.deepEqual(team.models.map(m => m.id), ['<img src=x onerror=alert(1)>']);
+    assert.deepEqual(team.daily.map(d => [d.date, d.messageCount]), [['2026-09-01', 0]]);
+    assert.equal(team.totals.messages, 0);
+  } finally {
+    rmSync(cwd, { recursive: true, force: true });
+  }
+});
+
+test('malformed prompt rows are dropped or turned into text', () => {
+  const cwd = mkdtempSync(join(tmpdir(), 'usage-report-team-'));
+  try {
+    mkdirSync(join(cwd, 'exports', 'bob'), { recursive: true });
+    writeFileSync(join(cwd, 'exports', 'bob', 'data.json'), JSON.stringify({ alias: 'bob', totalTokens: 1, daily: [] }));
+    writeFileSync(join(cwd, 'exports', 'bob', 'prompts.json'), JSON.stringify([
+      null, 'junk', { date: '2026-09-01T10:00:00.000Z', prompt: 42, summary: { text: 'x' }, project: null, branch: ['main'] },
+    ]));
+    const r = spawnSync(process.execPath, [script, 'merge', 'exports'], { cwd, encoding: 'utf-8', timeout: 60000 });
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    const prompts = JSON.parse(readFileSync(join(cwd, 'team', 'prompts.json'), 'utf-8'));
+    assert.equal(prompts.length, 1);
+    assert.deepEqual([prompts[0].prompt, prompts[0].branch, prompts[0].project], ['42', 'main', 'bob · ']);
+    assert.equal(typeof prompts[0].summary, 'string');
+  } finally {
+    rmSync(cwd, { recursive: true, force: true });
+  }
+});
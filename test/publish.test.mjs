@@ -0,0 +1,105 @@
+// Publishing with the push command, against a scratch bare repository and a
+// working clone that has uncommitted changes of its own.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync, execFileSync } from 'node:child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const script = fileURLToPath(new URL('../generate.mjs', import.meta.url));
+const claudeDir = fileURLToPath(new URL('./fixtures/current', import.meta.url));
+
+let root, remote, work;
+const git = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+
+function push(...args) {
+  return pushFrom(work, ...args);
+}
+
+function pushFrom(cwd, ...args) {
+  const r = spawnSync(process.execPath, [script, 'push', '--claude-dir', claudeDir, '--no-history', ...args], {
+    cwd, encoding: 'utf-8', env: { ...process.env, TZ: 'UTC' }, timeout: 60000,
+  });
+  return { status: r.status, output: r.stdout + r.stderr };
+}
+
+before(() => {
+  root = mkdtempSync(join(tmpdir(), 'usage-report-publish-test-'));
+  remote = join(root, 'site.git');
+  work = join(root, 'work');
+  git(root, 'init', '--quiet', '--bare', remote);
+  git(root, 'init', '--quiet', work);
+  git(work, 'config', 'user.name', 'Test');
+  git(work, 'config', 'user.email', 'test@example.invalid');
+  writeFileSync(join(work, 'notes.txt'), 'committed\n');
+  git(work, 'add', 'notes.txt');
+  git(work, 'commit', '--quiet', '-m', 'init');
+  git(work, 'remote', 'add', 'origin', remote);
+  writeFileSync(join(work, 'notes.txt'), 'work in progress\n');
+  writeFileSync(join(work, 'draft.txt'), 'untracked\n');
+});
+
+after(() => rmSync(root, { recursive: true, force: true }));
+
+test('a dry run reports the files and pushes nothing', () => {
+  const { status, output } = push('--dry-run');
+  assert.equal(status, 0, output);
+  assert.match(output, /Dry run: would commit to gh-pages on origin:\n\s+data\.json\n\s+index\.html/);
+  assert.equal(git(remote, 'branch', '--list'), '');
+});
+
+test('push commits only the build to the branch and leaves the clone alone', () => {
+  const { status, output } = push();
+  assert.equal(status, 0, output);
+  assert.deepEqual(git(remote, 'ls-tree', '--name-only', 'gh-pages').split('\n'), ['data.json', 'index.html', 'prompts.html', 'prompts.json']);
+  assert.equal(git(remote, 'log', '--format=%s', 'gh-pages'), 'update: 2026-09-03');
+  assert.equal(git(work, 'status', '--porcelain'), 'M notes.txt\n?? draft.txt');
+  assert.equal(git(work, 'log', '--format=%s'), 'init');
+  assert.equal(git(work, 'worktree', 'list').split('\n').length, 1);
+});
+
+test('an unchanged build is not committed again', () => {
+  const { status, output } = push();
+  assert.equal(status, 0, output);
+  assert.match(output, /Nothing changed since the last publish/);
+  assert.equal(git(remote, 'rev-list', '--count', 'gh-pages'), '1');
+});
+
+test('the branch follows the build, so --public drops published prompts', () => {
+  const { status, output } = push('--public');
+  assert.equal(status, 0, output);
+  assert.deepEqual(git(remote, 'ls-tree', '--name-only', 'gh-pages').split('\n'), ['data.json', 'index.html']);
+  assert.equal(git(remote, 'rev-list', '--count', 'gh-pages'), '2');
+});
+
+test('the history store is published with the build', () => {
+  const { status, output } = push('--public', '--history', join(root, 'history'));
+  assert.equal(status, 0, output);
+  assert.deepEqual(git(remote, 'ls-tree', '-r', '--name-only', 'gh-pages').split('\n'),
+    ['data.json', 'history/daily.jsonl', 'history/snapshots.jsonl', 'index.html']);
+});
+
+test('a build holding a secret is not pushed', () => {
+  const config = join(root, 'leaky.json');
+  writeFileSync(config, JSON.stringify({ alias: 'dev@example.com', public: true }));
+  const { status, output } = push('--config', config, '--branch', 'leaky');
+  assert.equal(status, 1);
+  assert.match(output, /data\.json: email/);
+  assert.match(output, /Refusing to push/);
+  assert.equal(git(remote, 'branch', '--list', 'leaky'), '');
+});
+
+test('a repository without commits can publish a new branch', () => {
+  const fresh = join(root, 'fresh'), freshRemote = join(root, 'fresh.git');
+  git(root, 'init', '--quiet', '--bare', freshRemote);
+  git(root, 'init', '--quiet', fresh);
+  git(fresh, 'config', 'user.name', 'Test');
+  git(fresh, 'config', 'user.email', 'test@example.invalid');
+  git(fresh, 'remote', 'add', 'origin', freshRemote);
+  const { status, output } = pushFrom(fresh, '--public');
+  assert.equal(status, 0, output);
+  assert.deepEqual(git(freshRemote, 'ls-tree', '--name-only', 'gh-pages').split('\n'), ['data.json', 'index.html']);
+  assert.equal(git(fresh, 'status', '--porcelain'), '');
+});
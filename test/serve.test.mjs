@@ -0,0 +1,37 @@
+// The live dashboard server, run against the current fixture on a spare port.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { once } from 'node:events';
+
+const script = fileURLToPath(new URL('../generate.mjs', import.meta.url));
+const claudeDir = fileURLToPath(new URL('./fixtures/current', import.meta.url));
+
+test('a malformed path gets 400 and the server keeps answering', async () => {
+  const cwd = mkdtempSync(join(tmpdir(), 'usage-report-serve-'));
+  const port = 18000 + Math.floor(Math.random() * 1000);
+  const child = spawn(process.execPath, [script, 'serve', '--port', String(port), '--claude-dir', claudeDir, '--no-history', '--public'], {
+    cwd, env: { ...process.env, TZ: 'UTC' }, stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  try {
+    for (let i = 0; i < 100 && !output.includes('Serving'); i++) await new Promise(ok => setTimeout(ok, 100));
+    assert.match(output, /Serving/);
+
+    const bad = await fetch(`http://127.0.0.1:${port}/%E0%A4%A`);
+    assert.equal(bad.status, 400);
+    const missing = await fetch(`http://127.0.0.1:${port}/nothing.html`);
+    assert.equal(missing.status, 404);
+    assert.equal(child.exitCode, null, output);
+  } finally {
+    child.kill('SIGINT');
+    if (child.exitCode === null) await once(child, 'exit');
+    rmSync(cwd, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,125 @@
+// Loading stats-cache.json and session indexes from fixture Claude directories.
+// Each case runs generate.mjs in a scratch directory and reads back data.json.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, existsSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const script = fileURLToPath(new URL('../generate.mjs', import.meta.url));
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function run(...args) {
+  const cwd = mkdtempSync(join(tmpdir(), 'usage-report-'));
+  try {
+    const r = spawnSync(process.execPath, [script, '--no-history', '--public', ...args], {
+      cwd, encoding: 'utf-8', env: { ...process.env, TZ: 'UTC' }, timeout: 60000,
+    });
+    const dataFile = join(cwd, 'data.json');
+    return { status: r.status, output: r.stdout + r.stderr, data: existsSync(dataFile) ? JSON.parse(readFileSync(dataFile, 'utf-8')) : null };
+  } finally {
+    rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+test('current schema loads as is', () => {
+  const { status, output, data } = run('--claude-dir', fixture('current'));
+  assert.equal(status, 0, output);
+  assert.match(output, /Schema version 2\n/);
+  assert.doesNotMatch(output, /input problem/);
+  assert.equal(data.totalMessages, 60);
+  assert.deepEqual(data.daily.map(d => d.date), ['2026-09-01', '2026-09-03']);
+  assert.equal(data.models[0].cacheRead, 90000);
+  assert.equal(data.projects[0].name, '/tmp/demo-app');
+  assert.equal(data.tools.calls, 1);
+});
+
+test('legacy layout is adapted to the current one', () => {
+  const legacy = run('--claude-dir', fixture('legacy'));
+  const current = run('--claude-dir', fixture('legacy'), '--stats', join(fixture('current'), 'stats-cache.json'));
+  assert.equal(legacy.status, 0, legacy.output);
+  assert.match(legacy.output, /Schema version \(none\), adapted: snake-case, keyed-days, hour-array/);
+  for (const key of ['totalTokens', 'totalMessages', 'totalSessions', 'totalToolCalls', 'costEstimate', 'models', 'daily', 'dailyModels', 'hourCounts']) {
+    assert.deepEqual(legacy.data[key], current.data[key], key);
+  }
+});
+
+test('malformed rows, indexes and transcripts are skipped and reported', () => {
+  const { status, output, data } = run('--claude-dir', fixture('broken'));
+  assert.equal(status, 0, output);
+  assert.match(output, /schema version 3 is newer than this script knows/);
+  assert.match(output, /2 "dailyActivity" rows without a valid date skipped/);
+  assert.match(output, /"dailyModelTokens" is not a list/);
+  assert.match(output, /"modelUsage" entries that are not objects skipped: broken-model/);
+  assert.match(output, /✖ projects\/-tmp-bad-index\/sessions-index\.json: unreadable/);
+  assert.match(output, /projects\/-tmp-partial\/sessions-index\.json: 2 of 3 entries without a sessionId or created date skipped/);
+  assert.match(output, /projects\/-tmp-partial\/s-2\.jsonl: 1 malformed line skipped/);
+
+  assert.deepEqual(data.daily, [
+    { date: '2026-09-01', messageCount: 20, sessionCount: 1, toolCallCount: 0 },
+    { date: '2026-09-03', messageCount: 40, sessionCount: 2, toolCallCount: 0 },
+  ]);
+  // Counters that aren't numbers fall back to the daily rows
+  assert.equal(data.totalMessages, 60);
+  assert.deepEqual(data.models.map(m => m.id), ['claude-opus-4-6']);
+  assert.deepEqual(data.hourCounts, { 9: 2 });
+  assert.deepEqual(data.projects.map(p => p.sessions), [1]);
+});
+
+test('a missing stats file falls back to session data', () => {
+  const empty = mkdtempSync(join(tmpdir(), 'claude-dir-'));
+  try {
+    const { status, output, data } = run('--claude-dir', empty);
+    assert.equal(status, 0, output);
+    assert.match(output, /stats-cache\.json: not found/);
+    assert.equal(data.totalMessages, 0);
+    assert.deepEqual(data.models, []);
+  } finally {
+    rmSync(empty, { recursive: true, force: true });
+  }
+});
+
+test('an explicit --stats path must exist', () => {
+  const { status, output } = run('--stats', join(fixture('current'), 'missing.json'));
+  assert.equal(status, 1);
+  assert.match(output, /Stats file not found: .*missing\.json/);
+});
+
+test('a stats file that is not JSON stops the run', () => {
+  const { status, output } = run('--claude-dir', fixture('broken'), '--stats', join(fixture('broken'), 'projects', '-tmp-bad-index', 'sessions-index.json'));
+  assert.equal(status, 1);
+  assert.match(output, /Cannot parse .*sessions-index\.json/);
+});
+
+test('--check exit codes keep budget states apart from errors', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'claude-dir-'));
+  try {
+    mkdirSync(join(dir, 'projects', '-tmp-today'), { recursive: true });
+    writeFileSync(join(dir, 'projects', '-tmp-today', 's-now.jsonl'), JSON.stringify({
+      type: 'assistant', sessionId: 's-now', timestamp: new Date().toISOString(), requestId: 'req_1',
+      message: { id: 'msg_1', model: 'claude-opus-4-6', usage: { input_tokens: 10, output_tokens: 1000 } },
+    }));
+    const budget = join(dir, 'budget.json');
+    writeFileSync(budget, JSON.stringify([{ period: 'day', tokens: 100 }]));
+    assert.equal(run('--claude-dir', dir, '--check', '--budget', budget).status, 4);
+    writeFileSync(budget, JSON.stringify([{ period: 'day', tokens: 1e12 }]));
+    assert.equal(run('--claude-dir', dir, '--check', '--budget', budget).status, 0);
+    writeFileSync(budget, '{ not json');
+    assert.equal(run('--claude-dir', dir, '--check', '--budget', budget).status, 1);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('--check writes no history unless asked to', () => {
+  const cwd = mkdtempSync(join(tmpdir(), 'usage-report-'));
+  try {
+    const r = spawnSync(process.execPath, [script, '--check', '--claude-dir', fixture('current')], { cwd, encoding: 'utf-8', timeout: 60000 });
+    assert.equal(r.status, 0, r.stdout + r.stderr);
+    assert.equal(existsSync(join(cwd, 'history')), false);
+  } finally {
+    rmSync(cwd, { recursive: true, force: true });
+  }
+});